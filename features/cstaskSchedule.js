@@ -0,0 +1,722 @@
+// features/cstaskSchedule.js
+const crypto = require("crypto");
+
+const SCHEDULES_NS = "cstaskSchedules";
+const SCHEDULER_TICK_MS = 60 * 1000;
+const MAX_LISTED_SCHEDULES = 20;
+// A failed run is retried after 5, then 15 minutes before the schedule moves on to its next slot
+const RUN_RETRY_DELAYS_MS = [5 * 60 * 1000, 15 * 60 * 1000];
+// Runs go one after another, so a hung Slack/Monday call must not hold up the whole tick
+const RUN_TIMEOUT_MS = 2 * 60 * 1000;
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Small helper to build Slack options
+function option(text, value) {
+  return { text: { type: "plain_text", text }, value: String(value) };
+}
+
+// -------------------------
+// Time zone math (no deps): wall-clock parts <-> UTC ms via Intl
+// -------------------------
+function safeTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz || "UTC" });
+    return tz || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+function tzParts(ms, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+  };
+}
+
+function tzOffsetMs(ms, tz) {
+  const p = tzParts(ms, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return asUtc - Math.floor(ms / 60000) * 60000;
+}
+
+function zonedToUtcMs({ year, month, day, hour, minute }, tz) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - tzOffsetMs(guess, tz);
+  const second = guess - tzOffsetMs(first, tz);
+  return second;
+}
+
+function addDays({ year, month, day }, days) {
+  const t = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: t.getUTCFullYear(), month: t.getUTCMonth() + 1, day: t.getUTCDate() };
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function dayNumber({ year, month, day }) {
+  return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+}
+
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function parseDate(ymd) {
+  const [year, month, day] = String(ymd || "").split("-").map(Number);
+  return year && month && day ? { year, month, day } : null;
+}
+
+function parseTime(hhmm) {
+  const [hour, minute] = String(hhmm || "").split(":").map(Number);
+  if (!Number.isInteger(hour) || !Number.isInteger(minute)) return null;
+  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) return null;
+  return { hour, minute };
+}
+
+// -------------------------
+// Cron (5 fields: minute hour day-of-month month day-of-week)
+// -------------------------
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+function parseCronField(raw, { name, min, max }) {
+  const values = new Set();
+  for (const part of String(raw).split(",")) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name}: “${part}”`);
+
+    const start = m[1] === "*" ? min : Number(m[1]);
+    const end = m[1] === "*" ? max : m[2] != null ? Number(m[2]) : m[3] != null ? max : start;
+    const step = m[3] != null ? Number(m[3]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} out of range: “${part}”`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const fields = String(expr || "").trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error("Cron needs 5 fields: minute hour day-of-month month day-of-week");
+  }
+
+  const [minutes, hours, doms, months, dows] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (dows.has(7)) dows.add(0); // 7 and 0 are both Sunday
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    doms,
+    months,
+    dows,
+    domAny: fields[2] === "*",
+    dowAny: fields[4] === "*",
+  };
+}
+
+function cronMatchesDay(cron, date) {
+  if (!cron.months.has(date.month)) return false;
+  const domOk = cron.doms.has(date.day);
+  const dowOk = cron.dows.has(weekdayOf(date));
+  // Standard cron: when both day fields are restricted, either may match
+  if (!cron.domAny && !cron.dowAny) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+function nextCronRun(expr, tz, afterMs) {
+  const cron = parseCron(expr);
+  const today = tzParts(afterMs, tz);
+
+  for (let i = 0; i <= 366 * 5; i++) {
+    const date = addDays(today, i);
+    if (!cronMatchesDay(cron, date)) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const at = zonedToUtcMs({ ...date, hour, minute }, tz);
+        if (at > afterMs) return at;
+      }
+    }
+  }
+  return null;
+}
+
+// -------------------------
+// "Every N weeks on <weekday> at HH:MM", anchored to the first run date
+// -------------------------
+function firstWeeklyAnchor({ weekday, time }, tz, afterMs) {
+  const today = tzParts(afterMs, tz);
+  const t = parseTime(time);
+  for (let i = 0; i <= 7; i++) {
+    const date = addDays(today, i);
+    if (weekdayOf(date) !== Number(weekday)) continue;
+    if (zonedToUtcMs({ ...date, ...t }, tz) > afterMs) return formatDate(date);
+  }
+  return formatDate(addDays(today, 7));
+}
+
+function nextWeeklyRun({ everyWeeks, time, anchorDate }, tz, afterMs) {
+  const anchor = parseDate(anchorDate);
+  const t = parseTime(time);
+  if (!anchor || !t) return null;
+
+  const periodDays = 7 * Math.max(1, Number(everyWeeks) || 1);
+  const elapsed = dayNumber(tzParts(afterMs, tz)) - dayNumber(anchor);
+  const k = Math.max(0, Math.floor(elapsed / periodDays));
+
+  for (let i = k; i < k + 3; i++) {
+    const at = zonedToUtcMs({ ...addDays(anchor, i * periodDays), ...t }, tz);
+    if (at > afterMs) return at;
+  }
+  return null;
+}
+
+function computeNextRun(schedule, afterMs) {
+  const rec = schedule.recurrence || {};
+  if (rec.kind === "cron") return nextCronRun(rec.expr, schedule.tz, afterMs);
+  return nextWeeklyRun(rec, schedule.tz, afterMs);
+}
+
+function describeRecurrence(rec, tz) {
+  if (rec?.kind === "cron") return `cron \`${rec.expr}\` (${tz})`;
+  const n = Number(rec?.everyWeeks) || 1;
+  const every = n === 1 ? "every week" : `every ${n} weeks`;
+  return `${every} on ${WEEKDAYS[Number(rec?.weekday)] || "?"} at ${rec?.time} (${tz})`;
+}
+
+function slackDate(ms) {
+  if (!ms) return "—";
+  const unix = Math.floor(ms / 1000);
+  return `<!date^${unix}^{date_short_pretty} {time}|${new Date(ms).toISOString()}>`;
+}
+
+// -------------------------
+// Modal
+// -------------------------
+function buildScheduleModal({ channelId, defaults, buildCsTaskStatusBlock, buildCsTaskPriorityBlock }) {
+  const d = defaults || {};
+  return {
+    type: "modal",
+    callback_id: "cstask_schedule_submit",
+    title: { type: "plain_text", text: "Schedule CS Task" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    private_metadata: JSON.stringify({ channelId, boardId: d.boardId || "" }),
+    blocks: [
+      {
+        type: "input",
+        block_id: "task_name_block",
+        label: { type: "plain_text", text: "Task Name" },
+        element: { type: "plain_text_input", action_id: "task_name_input" },
+      },
+      {
+        type: "input",
+        block_id: "board_block",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "Monday Board" },
+        element: {
+          type: "external_select",
+          action_id: "board_select",
+          placeholder: { type: "plain_text", text: "Search/select a board" },
+          min_query_length: 0,
+          ...(d.boardId ? { initial_option: option(d.boardName || `Board ${d.boardId}`, d.boardId) } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "group_block",
+        label: { type: "plain_text", text: "Monday Group" },
+        element: {
+          type: "external_select",
+          action_id: "group_select",
+          placeholder: { type: "plain_text", text: "Search/select a group" },
+          min_query_length: 0,
+          ...(d.groupId ? { initial_option: option(d.groupName || d.groupId, d.groupId) } : {}),
+        },
+      },
+      buildCsTaskStatusBlock({ initialLabel: d.statusLabel, optional: true }),
+      buildCsTaskPriorityBlock({ initialLabel: d.priorityLabel, optional: true }),
+      {
+        type: "input",
+        block_id: "schedule_owner_block",
+        optional: true,
+        label: { type: "plain_text", text: "Task Owner" },
+        element: { type: "users_select", action_id: "schedule_owner_select" },
+      },
+      { type: "divider" },
+      {
+        type: "input",
+        block_id: "schedule_kind_block",
+        label: { type: "plain_text", text: "Repeats" },
+        element: {
+          type: "static_select",
+          action_id: "schedule_kind_select",
+          initial_option: option("Every N weeks on a weekday", "weekly"),
+          options: [option("Every N weeks on a weekday", "weekly"), option("Cron expression", "cron")],
+        },
+      },
+      {
+        type: "input",
+        block_id: "schedule_every_block",
+        optional: true,
+        label: { type: "plain_text", text: "Every N weeks" },
+        element: {
+          type: "number_input",
+          action_id: "schedule_every_input",
+          is_decimal_allowed: false,
+          min_value: "1",
+          max_value: "52",
+          initial_value: "1",
+        },
+      },
+      {
+        type: "input",
+        block_id: "schedule_weekday_block",
+        optional: true,
+        label: { type: "plain_text", text: "On" },
+        element: {
+          type: "static_select",
+          action_id: "schedule_weekday_select",
+          initial_option: option("Monday", 1),
+          options: WEEKDAYS.map((name, i) => option(name, i)),
+        },
+      },
+      {
+        type: "input",
+        block_id: "schedule_time_block",
+        optional: true,
+        label: { type: "plain_text", text: "At (your time zone)" },
+        element: { type: "timepicker", action_id: "schedule_time_input", initial_time: "09:00" },
+      },
+      {
+        type: "input",
+        block_id: "schedule_cron_block",
+        optional: true,
+        label: { type: "plain_text", text: "Cron expression" },
+        hint: {
+          type: "plain_text",
+          text: "Only used when Repeats is “Cron expression”. e.g. 0 9 1 * * = 9:00 on the 1st of every month.",
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "schedule_cron_input",
+          placeholder: { type: "plain_text", text: "minute hour day-of-month month day-of-week" },
+        },
+      },
+    ],
+  };
+}
+
+function buildScheduleListMessage(schedules) {
+  if (!schedules.length) {
+    return { text: "No /cstask schedules yet. Create one with `/cstask schedule`." };
+  }
+
+  const blocks = [
+    { type: "section", text: { type: "mrkdwn", text: "*Recurring /cstask schedules*" } },
+  ];
+
+  for (const sch of schedules.slice(0, MAX_LISTED_SCHEDULES)) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text:
+          `*${sch.taskName}*${sch.paused ? "  _(paused)_" : ""}\n` +
+          `${sch.boardName || `Board ${sch.boardId}`} → ${sch.groupName || sch.groupId} · ` +
+          `${describeRecurrence(sch.recurrence, sch.tz)}\n` +
+          `Next: ${sch.paused ? "—" : slackDate(sch.nextRunAt)} · Last: ${slackDate(sch.lastRunAt)}` +
+          (sch.lastError ? ` · ⚠️ ${sch.lastError}` : ""),
+      },
+    });
+    blocks.push({
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: "cstask_schedule_toggle",
+          text: { type: "plain_text", text: sch.paused ? "Resume" : "Pause" },
+          value: sch.id,
+        },
+        {
+          type: "button",
+          action_id: "cstask_schedule_delete",
+          style: "danger",
+          text: { type: "plain_text", text: "Delete" },
+          value: sch.id,
+          confirm: {
+            title: { type: "plain_text", text: "Delete schedule?" },
+            text: { type: "plain_text", text: `“${sch.taskName}” will stop being created.` },
+            confirm: { type: "plain_text", text: "Delete" },
+            deny: { type: "plain_text", text: "Keep" },
+          },
+        },
+      ],
+    });
+  }
+
+  if (schedules.length > MAX_LISTED_SCHEDULES) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `Showing ${MAX_LISTED_SCHEDULES} of ${schedules.length} schedules.` }],
+    });
+  }
+
+  return { text: "Recurring /cstask schedules", blocks };
+}
+
+/**
+ * Register /cstask schedule behaviors on your existing Bolt app.
+ * We inject helpers from index.js so Monday + storage code lives in one place.
+ * Returns { handleScheduleCommand, startScheduler } for the /cstask router and app start.
+ */
+function registerCsTaskSchedules({
+  app,
+  storeGet,
+  storeSet,
+  storeDelete,
+  storeList,
+  createMondayCsTask,
+  mondayFindUserIdByEmail,
+  rememberMondayItemOrigin,
+  isCsTaskAdmin,
+  getCsTaskChannelDefaults,
+  buildCsTaskStatusBlock,
+  buildCsTaskPriorityBlock,
+  isCsTaskPlaceholderOption,
+  normalizeSlackSelectLabel,
+  parsePrivateMetadata,
+  nowIso,
+  withTimeout,
+  createMode,
+}) {
+  const zapierModeText =
+    "⚠️ Recurring tasks create items directly in Monday, so they aren’t available while CSTASK_CREATE_MODE=zapier.";
+
+  async function canManage(client, userId, schedule) {
+    return schedule.createdBy === userId || (await isCsTaskAdmin(client, userId));
+  }
+
+  async function visibleSchedules(client, userId) {
+    const all = Object.values(storeList(SCHEDULES_NS));
+    const isAdmin = await isCsTaskAdmin(client, userId).catch(() => false);
+    return all
+      .filter((s) => isAdmin || s.createdBy === userId)
+      .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity));
+  }
+
+  // -------------------------
+  // /cstask schedule [list]
+  // -------------------------
+  async function handleScheduleCommand({ body, client, args }) {
+    const action = (args[0] || "").toLowerCase();
+
+    if (createMode === "zapier" && action !== "list") {
+      await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text: zapierModeText });
+      return;
+    }
+
+    if (action === "list") {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        ...buildScheduleListMessage(await visibleSchedules(client, body.user_id)),
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildScheduleModal({
+        channelId: body.channel_id,
+        defaults: getCsTaskChannelDefaults(body.channel_id),
+        buildCsTaskStatusBlock,
+        buildCsTaskPriorityBlock,
+      }),
+    });
+  }
+
+  app.view("cstask_schedule_submit", async ({ ack, body, view, client, logger }) => {
+    const meta = parsePrivateMetadata(view.private_metadata);
+    const v = view.state.values || {};
+
+    const taskName = (v.task_name_block?.task_name_input?.value || "").trim();
+    const boardOption = v.board_block?.board_select?.selected_option;
+    const groupOption = v.group_block?.group_select?.selected_option;
+    const statusOption = v.status_block?.status_select?.selected_option;
+    const priorityOption = v.priority_block?.priority_select?.selected_option;
+    const ownerSlackUserId = v.schedule_owner_block?.schedule_owner_select?.selected_user || "";
+
+    const kind = v.schedule_kind_block?.schedule_kind_select?.selected_option?.value || "weekly";
+    const everyWeeks = Number(v.schedule_every_block?.schedule_every_input?.value || 1);
+    const weekday = v.schedule_weekday_block?.schedule_weekday_select?.selected_option?.value;
+    const time = v.schedule_time_block?.schedule_time_input?.selected_time || "";
+    const cronExpr = (v.schedule_cron_block?.schedule_cron_input?.value || "").trim();
+
+    const boardId = meta.boardId || boardOption?.value || "";
+    const groupId = groupOption?.value || "";
+
+    const errors = {};
+    if (!taskName) errors.task_name_block = "Task name is required.";
+    if (!boardId) errors.board_block = "Please select a board.";
+    if (!groupId) errors.group_block = "Please select a group.";
+    if (createMode === "zapier") errors.task_name_block = zapierModeText;
+
+    let recurrence;
+    if (kind === "cron") {
+      try {
+        parseCron(cronExpr);
+        recurrence = { kind: "cron", expr: cronExpr };
+      } catch (e) {
+        errors.schedule_cron_block = cronExpr ? e.message : "Enter a cron expression.";
+      }
+    } else {
+      if (!Number.isInteger(everyWeeks) || everyWeeks < 1) errors.schedule_every_block = "Enter a whole number of weeks.";
+      if (weekday == null) errors.schedule_weekday_block = "Pick a weekday.";
+      if (!parseTime(time)) errors.schedule_time_block = "Pick a time.";
+      recurrence = { kind: "weekly", everyWeeks, weekday: Number(weekday), time };
+    }
+
+    if (Object.keys(errors).length) {
+      await ack({ response_action: "errors", errors });
+      return;
+    }
+
+    await ack();
+
+    const userId = body.user.id;
+    try {
+      const info = await client.users.info({ user: userId }).catch(() => null);
+      const tz = safeTimeZone(info?.user?.tz);
+      const now = Date.now();
+
+      if (recurrence.kind === "weekly") {
+        recurrence.anchorDate = firstWeeklyAnchor(recurrence, tz, now);
+      }
+
+      const schedule = {
+        id: `sched_${crypto.randomBytes(6).toString("hex")}`,
+        createdBy: userId,
+        createdAt: nowIso(),
+        channelId: meta.channelId || "",
+        taskName: taskName.slice(0, 250),
+        boardId,
+        boardName: normalizeSlackSelectLabel(boardOption),
+        groupId,
+        groupName: normalizeSlackSelectLabel(groupOption),
+        statusLabel: isCsTaskPlaceholderOption(statusOption) ? "" : normalizeSlackSelectLabel(statusOption),
+        priorityLabel: isCsTaskPlaceholderOption(priorityOption) ? "" : normalizeSlackSelectLabel(priorityOption),
+        ownerSlackUserId,
+        recurrence,
+        tz,
+        paused: false,
+        lastRunAt: null,
+        lastError: "",
+      };
+      schedule.nextRunAt = computeNextRun(schedule, now);
+
+      storeSet(SCHEDULES_NS, schedule.id, schedule);
+
+      await client.chat.postMessage({
+        channel: userId,
+        text:
+          `✅ Scheduled *${schedule.taskName}* ${describeRecurrence(recurrence, tz)}.\n` +
+          `First run: ${slackDate(schedule.nextRunAt)}\n` +
+          "_Manage it with `/cstask schedule list`._",
+      });
+    } catch (e) {
+      logger.error(e);
+      await client.chat.postMessage({
+        channel: userId,
+        text: "❌ I couldn’t save that schedule. Check Render logs and try again.",
+      });
+    }
+  });
+
+  // -------------------------
+  // List buttons (Pause/Resume, Delete)
+  // -------------------------
+  app.action("cstask_schedule_toggle", async ({ ack, body, client, respond, logger }) => {
+    await ack();
+    try {
+      const id = body?.actions?.[0]?.value || "";
+      const sch = storeGet(SCHEDULES_NS, id);
+      if (!sch) return await respond({ replace_original: false, text: "⚠️ That schedule no longer exists." });
+      if (!(await canManage(client, body.user.id, sch))) {
+        return await respond({ replace_original: false, text: "🔒 Only the creator or an admin can change this schedule." });
+      }
+
+      sch.paused = !sch.paused;
+      // Resuming never back-fills missed runs
+      if (!sch.paused) {
+        sch.failedAttempts = 0;
+        sch.nextRunAt = computeNextRun(sch, Date.now());
+      }
+      storeSet(SCHEDULES_NS, id, sch);
+
+      await respond({
+        replace_original: true,
+        ...buildScheduleListMessage(await visibleSchedules(client, body.user.id)),
+      });
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
+  app.action("cstask_schedule_delete", async ({ ack, body, client, respond, logger }) => {
+    await ack();
+    try {
+      const id = body?.actions?.[0]?.value || "";
+      const sch = storeGet(SCHEDULES_NS, id);
+      if (sch && !(await canManage(client, body.user.id, sch))) {
+        return await respond({ replace_original: false, text: "🔒 Only the creator or an admin can delete this schedule." });
+      }
+
+      storeDelete(SCHEDULES_NS, id);
+      await respond({
+        replace_original: true,
+        ...buildScheduleListMessage(await visibleSchedules(client, body.user.id)),
+      });
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
+  // -------------------------
+  // In-process scheduler
+  // -------------------------
+  async function createScheduledTask(sch) {
+    const client = app.client;
+
+    let ownerMondayUserId = "";
+    if (sch.ownerSlackUserId) {
+      const info = await client.users.info({ user: sch.ownerSlackUserId });
+      const email = info?.user?.profile?.email || "";
+      ownerMondayUserId = email ? await mondayFindUserIdByEmail(email) : "";
+      if (!ownerMondayUserId) throw new Error(`No Monday account for ${email || sch.ownerSlackUserId}`);
+    }
+
+    const item = await createMondayCsTask({
+      boardId: sch.boardId,
+      groupId: sch.groupId,
+      taskName: sch.taskName,
+      description: `Created by a recurring /cstask schedule (${describeRecurrence(sch.recurrence, sch.tz)}).`,
+      statusLabel: sch.statusLabel,
+      priorityLabel: sch.priorityLabel,
+      ownerMondayUserId,
+    });
+
+    // The item exists now; a failed DM mustn't count as a failed run (the retry would duplicate it)
+    let dm = null;
+    try {
+      dm = await client.chat.postMessage({
+        channel: sch.createdBy,
+        text: `🔁 Scheduled task created: <${item.url}|${sch.taskName}> (item ${item.id})`,
+      });
+    } catch (e) {
+      console.error("[cstask schedule] confirmation DM failed:", sch.id, e?.message || e);
+    }
+
+    rememberMondayItemOrigin(item.id, {
+      boardId: sch.boardId,
+      taskName: sch.taskName,
+      itemUrl: item.url,
+      createdBy: sch.createdBy,
+      channelId: dm?.channel || sch.createdBy,
+      threadTs: dm?.ts || "",
+    });
+  }
+
+  // Returns true when the Monday item was created
+  async function runSchedule(sch) {
+    try {
+      await withTimeout(createScheduledTask(sch), RUN_TIMEOUT_MS);
+      sch.lastError = "";
+      sch.failedAttempts = 0;
+      return true;
+    } catch (e) {
+      console.error("[cstask schedule] run failed:", sch.id, e?.message || e);
+      sch.lastError = String(e?.message || e).slice(0, 200);
+      sch.failedAttempts = (sch.failedAttempts || 0) + 1;
+      return false;
+    }
+  }
+
+  let ticking = false;
+  async function runDueSchedules() {
+    // Zapier mode has no direct Monday writes; schedules just wait until the mode is switched back
+    if (ticking || createMode === "zapier") return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      for (const sch of Object.values(storeList(SCHEDULES_NS))) {
+        if (sch.paused || !sch.nextRunAt || sch.nextRunAt > now) continue;
+
+        const ok = await runSchedule(sch);
+        sch.lastRunAt = now;
+        // Computed from "now", so runs missed while we were down are skipped, not replayed
+        const nextSlot = computeNextRun(sch, Date.now());
+        const retryDelay = ok ? null : RUN_RETRY_DELAYS_MS[sch.failedAttempts - 1];
+
+        if (retryDelay != null && (!nextSlot || Date.now() + retryDelay < nextSlot)) {
+          sch.nextRunAt = Date.now() + retryDelay;
+        } else {
+          sch.nextRunAt = nextSlot;
+          if (!ok) {
+            const attempts = sch.failedAttempts;
+            sch.failedAttempts = 0;
+            try {
+              await app.client.chat.postMessage({
+                channel: sch.createdBy,
+                text:
+                  `❌ Scheduled task *${sch.taskName}* failed after ${attempts} attempt${attempts === 1 ? "" : "s"}: ${sch.lastError}\n` +
+                  `Next run: ${sch.nextRunAt ? slackDate(sch.nextRunAt) : "none"} · Manage it with \`/cstask schedule\`.`,
+              });
+            } catch (_) {}
+          }
+        }
+
+        // Deleted while running? Don't resurrect it.
+        if (storeGet(SCHEDULES_NS, sch.id)) storeSet(SCHEDULES_NS, sch.id, sch);
+      }
+    } catch (e) {
+      console.error("[cstask schedule] tick failed:", e?.message || e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function startScheduler() {
+    setInterval(runDueSchedules, SCHEDULER_TICK_MS);
+    runDueSchedules();
+  }
+
+  return { handleScheduleCommand, startScheduler };
+}
+
+module.exports = { registerCsTaskSchedules };
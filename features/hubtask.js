@@ -6,17 +6,28 @@ function option(text, value) {
   return { text: { type: "plain_text", text }, value: String(value) };
 }
 
-function buildHubtaskModal({ correlationId, originChannelId, originUserId }) {
+// initialAssoc ({ type: "tickets"|"deals"|"contacts"|"companies", id, label }) preselects the association
+function buildHubtaskModal({ correlationId, originChannelId, originUserId, initialAssoc = null }) {
+  const assocTypeOptions = [
+    option("Contact", "contacts"),
+    option("Company", "companies"),
+    option("Deal", "deals"),
+    option("Ticket", "tickets"),
+  ];
+  const initialAssocType = initialAssoc && assocTypeOptions.find((o) => o.value === initialAssoc.type);
+
   return {
     type: "modal",
     callback_id: "hubtask_modal_submit_v1",
     title: { type: "plain_text", text: "HubSpot Task" },
     submit: { type: "plain_text", text: "Create" },
     close: { type: "plain_text", text: "Cancel" },
+    notify_on_close: true, // closing saves a draft
     private_metadata: JSON.stringify({
       correlationId,
       originChannelId,
       originUserId,
+      ...(initialAssocType ? { hubtaskAssocType: initialAssocType.value } : {}),
 
       // We'll store selections here as user interacts (optional pattern)
       // Example: recordType, recordId, etc.
@@ -100,12 +111,8 @@ function buildHubtaskModal({ correlationId, originChannelId, originUserId }) {
         element: {
           type: "static_select",
           action_id: "hubtask_assoc_type_select",
-          options: [
-            option("Contact", "contacts"),
-            option("Company", "companies"),
-            option("Deal", "deals"),
-            option("Ticket", "tickets"),
-          ],
+          options: assocTypeOptions,
+          ...(initialAssocType ? { initial_option: initialAssocType } : {}),
         },
       },
       {
@@ -117,6 +124,9 @@ function buildHubtaskModal({ correlationId, originChannelId, originUserId }) {
           action_id: "hubtask_assoc_record_select",
           placeholder: { type: "plain_text", text: "Search/select record" },
           min_query_length: 0,
+          ...(initialAssocType && initialAssoc.id
+            ? { initial_option: option(String(initialAssoc.label || initialAssoc.id).slice(0, 75), initialAssoc.id) }
+            : {}),
         },
       },
 
@@ -185,6 +195,11 @@ function registerHubtask({
   hubspotRequest,
   parsePrivateMetadata,
   buildCleanViewPayload,
+  saveModalDraft,
+  getModalDraft,
+  deleteModalDraft,
+  buildModalFromDraft,
+  buildResumeDraftBlocks,
 }) {
   // -------------------------
   // /sylla hubtask
@@ -198,6 +213,22 @@ function registerHubtask({
     if ((subcommand || "").toLowerCase() !== "hubtask") return;
 
     try {
+      const draft = getModalDraft(body.user_id, "hubtask");
+      if (draft) {
+        await client.chat.postEphemeral({
+          channel: body.channel_id,
+          user: body.user_id,
+          text: "You have an unsaved HubSpot task draft.",
+          blocks: buildResumeDraftBlocks({
+            kind: "HubSpot task",
+            savedAt: draft.savedAt,
+            resumeActionId: "hubtask_resume_draft",
+            discardActionId: "hubtask_discard_draft",
+          }),
+        });
+        return;
+      }
+
       const correlationId = `hubtask_${crypto.randomBytes(12).toString("hex")}`;
       await client.views.open({
         trigger_id: body.trigger_id,
@@ -219,6 +250,77 @@ function registerHubtask({
     }
   });
 
+  // -------------------------
+  // "Create task" button on HubSpot link unfurls (value: { type, id, label })
+  // -------------------------
+  app.action("hubtask_open_for_record", async ({ ack, body, client, logger }) => {
+    await ack();
+    try {
+      let initialAssoc = null;
+      try {
+        initialAssoc = JSON.parse(body?.actions?.[0]?.value || "null");
+      } catch (_) {}
+
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildHubtaskModal({
+          correlationId: `hubtask_${crypto.randomBytes(12).toString("hex")}`,
+          originChannelId: body.channel?.id || "",
+          originUserId: body.user.id,
+          initialAssoc,
+        }),
+      });
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
+  // -------------------------
+  // Drafts (saved when the modal is closed, offered on the next /sylla hubtask)
+  // -------------------------
+  app.view({ callback_id: "hubtask_modal_submit_v1", type: "view_closed" }, async ({ ack, body, view, logger }) => {
+    await ack();
+    try {
+      saveModalDraft(body.user.id, "hubtask", view);
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
+  app.action("hubtask_resume_draft", async ({ ack, body, client, respond, logger }) => {
+    await ack();
+    try {
+      const draft = getModalDraft(body.user.id, "hubtask");
+      if (!draft) {
+        await respond({ replace_original: true, text: "⚠️ That draft has expired. Run /sylla hubtask to start over." });
+        return;
+      }
+      await client.views.open({ trigger_id: body.trigger_id, view: buildModalFromDraft(draft) });
+      deleteModalDraft(body.user.id, "hubtask");
+      await respond({ delete_original: true });
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
+  app.action("hubtask_discard_draft", async ({ ack, body, client, respond, logger }) => {
+    await ack();
+    try {
+      deleteModalDraft(body.user.id, "hubtask");
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildHubtaskModal({
+          correlationId: `hubtask_${crypto.randomBytes(12).toString("hex")}`,
+          originChannelId: body.channel?.id || "",
+          originUserId: body.user.id,
+        }),
+      });
+      await respond({ delete_original: true });
+    } catch (e) {
+      logger.error(e);
+    }
+  });
+
   // -------------------------
   // Dynamic dropdowns
   // NOTE: We’ll wire these to HubSpot APIs next.
@@ -316,6 +418,7 @@ function registerHubtask({
       }
 
       await ack();
+      deleteModalDraft(body.user.id, "hubtask");
 
       // Minimal HubSpot task create (we’ll align exact properties after we wire live option sources)
       // Note: dueDate from Slack is YYYY-MM-DD; HubSpot often expects ms epoch for date properties.
@@ -1,9 +1,17 @@
 /**
  * index.js — SyllaBot (Render)
  *
- * ✅ /cstask (UNCHANGED logic: Monday board/group/status/priority + Zapier webhook)
- * ✅ /hubnote v2 modal (Record Type → Pipeline → Stage → Record)
+ * ✅ /cstask (Monday board/group/status/priority → Monday create_item, Zapier webhook as fallback)
+ * ✅ /cstask config | bulk | schedule [list]  (channel defaults, bulk create, recurring tasks)
+ * ✅ "Create CS task" message shortcut (callback_id: cstask_from_message) → prefilled /cstask modal
+ * ✅ /hubnote v2 modal (Record Type → Record quick find; Pipeline/Stage are optional filters; "Recent" records prefill all)
+ * ✅ /hubnote templates (admins define structured note templates; the modal's Template select swaps in their fields)
+ * ✅ /hubnote edit (recent notes → edit or append; also an "Edit note" button on the confirmation DM)
+ * ✅ "Save thread to HubSpot" message shortcut (callback_id: hubnote_save_thread) → transcript + thread files in /hubnote
+ * ✅ HubSpot record link unfurls (link_shared; needs links:read/links:write + app.hubspot.com as an unfurl domain)
  * ✅ Zapier Step 2: POST /api/hubnote/create  (HubSpot note + association)
+ * ✅ Monday webhooks: POST /api/monday/webhook (status/update/owner changes → origin Slack thread/DM)
+ * ✅ Opt-in thread sync: replies in a task's Slack thread → Monday updates (needs message.* event subscriptions)
  * ✅ Zapier Step 3: POST /zapier/hubnote/callback (ephemeral “Add files?”)
  * ✅ FIXED: Green “Yes” button now works reliably (no DM open dependency). It opens an Attach Files modal directly.
  *
@@ -13,22 +21,37 @@
  * SLACK_SIGNING_SECRET
  * SLACK_BOT_TOKEN
  * MONDAY_API_TOKEN
- * ZAPIER_WEBHOOK_URL                    (for /cstask)
+ * ZAPIER_WEBHOOK_URL                    (for /cstask when CSTASK_CREATE_MODE=zapier)
  *
  * HUBSPOT_PRIVATE_APP_TOKEN             (HubSpot private app token)
  *
  * Optional (recommended if you want auth between Zapier ↔ SyllaBot):
  * HUBNOTE_ZAPIER_SECRET                 (Zap Step 2 header x-zapier-secret must match)
  * ZAPIER_HUBNOTE_SECRET                 (Zap Step 3 header x-zapier-secret must match)
+ * MONDAY_WEBHOOK_SECRET                 (Monday webhook URL must carry ?secret=<value>)
  *
  * Optional:
  * ZAPIER_HUBNOTE_TRIGGER_URL            (if /hubnote trigger Catch Hook is different than ZAPIER_WEBHOOK_URL)
+ * SYLLABOT_STORE_PATH                   (JSON store file; default ./data/syllabot-store.json — use a persistent disk)
+ * CSTASK_ADMIN_USER_IDS                 (comma-separated Slack IDs allowed to run /cstask config; default: workspace admins)
+ * HUBNOTE_ADMIN_USER_IDS                (comma-separated Slack IDs allowed to manage /hubnote templates; default: workspace admins)
+ * MONDAY_WORKSPACE_IDS                  (comma-separated; limit the board picker to these workspaces)
+ * MONDAY_FOLDER_IDS                     (comma-separated; limit the board picker to these folders)
+ * MONDAY_MAX_FILE_MB                    (max size per Slack file copied to a Monday file column; default 25)
+ * CSTASK_CREATE_MODE                    ("monday" = create items directly (default), "zapier" = old webhook relay)
+ * HUBNOTE_ATTACHMENT_LINKS_MODE         ("append" = add links to the original note (default), "separate_note")
+ * HUBNOTE_MAX_FILE_MB                   (max size per Slack file attached to a HubSpot note; default 50)
+ * HUBNOTE_ALLOWED_MIME_TYPES            (comma-separated, wildcards OK, e.g. "image/*,application/pdf"; "*" = any)
+ * HUBNOTE_UPLOAD_CONCURRENCY            (parallel Slack → HubSpot file transfers; default 3)
+ * HUBNOTE_DRAFT_TTL_HOURS               (how long closed /hubnote and hubtask modals are kept as drafts; default 72)
  */
 
 const { App, ExpressReceiver, LogLevel } = require("@slack/bolt");
 const axios = require("axios");
 const express = require("express");
 const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 
 // ==============================
 // CONFIG
@@ -41,22 +64,36 @@ const ZAPIER_HUBNOTE_TRIGGER_URL = process.env.ZAPIER_HUBNOTE_TRIGGER_URL || "";
 
 const MONDAY_API_TOKEN = process.env.MONDAY_API_TOKEN;
 
+// Optional Monday scoping for the board picker (comma-separated IDs)
+const MONDAY_WORKSPACE_IDS = (process.env.MONDAY_WORKSPACE_IDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const MONDAY_FOLDER_IDS = (process.env.MONDAY_FOLDER_IDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Largest Slack file we'll copy into a Monday file column (Monday itself allows up to 500MB)
+const MONDAY_MAX_FILE_BYTES = Number(process.env.MONDAY_MAX_FILE_MB || 25) * 1024 * 1024;
+
+// How /cstask creates the Monday item: "monday" (direct create_item) or "zapier" (webhook relay)
+const CSTASK_CREATE_MODE =
+  (process.env.CSTASK_CREATE_MODE || "monday").trim().toLowerCase() === "zapier" ? "zapier" : "monday";
+
 const HUBSPOT_PRIVATE_APP_TOKEN = process.env.HUBSPOT_PRIVATE_APP_TOKEN || "";
 
 // Optional auth headers
 const HUBNOTE_ZAPIER_SECRET =
   process.env.HUBNOTE_ZAPIER_SECRET || process.env.ZAPIER_HUBNOTE_SECRET || "";
 const ZAPIER_HUBNOTE_SECRET = process.env.ZAPIER_HUBNOTE_SECRET || "";
+const MONDAY_WEBHOOK_SECRET = process.env.MONDAY_WEBHOOK_SECRET || "";
 
-// Monday labels (must match exactly)
-const STATUS_LABELS = [
-  "Not Started",
-  "Working on it",
-  "Blocked",
-  "Pending Review",
-  "Done",
-];
-const PRIORITY_LABELS = ["Low", "Medium", "High"];
+// Where hubnote attachment links go: "append" (Attachments section on the original note) or "separate_note"
+const HUBNOTE_ATTACHMENT_LINKS_MODE =
+  (process.env.HUBNOTE_ATTACHMENT_LINKS_MODE || "append").trim().toLowerCase() === "separate_note"
+    ? "separate_note"
+    : "append";
 
 function toStaticOptions(labels) {
   return labels.map((label) => ({
@@ -86,13 +123,6 @@ receiver.app.use((req, res, next) => {
   next();
 });
 
-// Helpful: log 404s
-receiver.app.use((req, res, next) => {
-  // Only runs if no route handled it
-  res.status(404).send("Not Found");
-  console.log("[404]", req.method, req.originalUrl);
-});
-
 // Basic request logging (keep while debugging)
 receiver.app.use((req, res, next) => {
   console.log(
@@ -118,103 +148,293 @@ const app = new App({
 });
 
 
+// Ticket/Deal are found through Pipeline → Stage; Contact/Company are searched directly
+const HS_RECORD_TYPE_OPTIONS = [
+  { text: { type: "plain_text", text: "Ticket" }, value: "ticket" },
+  { text: { type: "plain_text", text: "Deal" }, value: "deal" },
+  { text: { type: "plain_text", text: "Contact" }, value: "contact" },
+  { text: { type: "plain_text", text: "Company" }, value: "company" },
+];
+
+function hsRecordTypeHasPipelines(recordType) {
+  return recordType === "ticket" || recordType === "deal";
+}
+
+// Picking a recent record rewrites the selects; Slack only applies new initial_option values
+// to blocks whose block_id changed, so those blocks carry a revision suffix after the first fill.
+function hubnoteBlockId(base, rev) {
+  return rev ? `${base}_r${rev}` : base;
+}
+
+function hubnoteBlockIdIn(blocks, base) {
+  return (blocks || []).find((b) => b.block_id === base || b.block_id?.startsWith(`${base}_r`))?.block_id || base;
+}
+
+// { text, value } for an initial_option; undefined when there's no value to preselect
+function hubnoteSelectOption(value, label) {
+  return value ? { text: { type: "plain_text", text: String(label || value).slice(0, 75) }, value: String(value) } : undefined;
+}
+
+function buildHubnoteRecordTypeBlockV2({ recentRecords = [], rev = 0, initialType = "" } = {}) {
+  const element = {
+    type: "static_select",
+    action_id: "hubnote_v2_record_type_select",
+    placeholder: { type: "plain_text", text: "Ticket, Deal, Contact or Company" },
+  };
+
+  if (recentRecords.length) {
+    element.option_groups = [
+      { label: { type: "plain_text", text: "Recent" }, options: recentRecords.map(buildRecentHubnoteRecordOption) },
+      { label: { type: "plain_text", text: "Record type" }, options: HS_RECORD_TYPE_OPTIONS },
+    ];
+  } else {
+    element.options = HS_RECORD_TYPE_OPTIONS;
+  }
+
+  const initial = HS_RECORD_TYPE_OPTIONS.find((o) => o.value === initialType);
+  if (initial) element.initial_option = initial;
+
+  return {
+    type: "input",
+    block_id: hubnoteBlockId("record_type_block_v2", rev),
+    dispatch_action: true,
+    label: { type: "plain_text", text: "Record Type" },
+    element,
+  };
+}
+
+function buildHubnoteRecordBlockV2({ rev = 0, initialOption } = {}) {
+  return {
+    type: "input",
+    block_id: hubnoteBlockId("record_block_v2", rev),
+    // Dispatches so a "Recent" pick can fill in type/pipeline/stage
+    dispatch_action: true,
+    label: { type: "plain_text", text: "Record" },
+    element: {
+      type: "external_select",
+      action_id: "hubnote_v2_record_select",
+      placeholder: { type: "plain_text", text: "Search by name, ID or company" },
+      min_query_length: 0,
+      ...(initialOption ? { initial_option: initialOption } : {}),
+    },
+  };
+}
+
+function buildHubnotePipelineBlockV2({ rev = 0, initialOption } = {}) {
+  return {
+    type: "input",
+    block_id: hubnoteBlockId("pipeline_block_v2", rev),
+    dispatch_action: true,
+    optional: true,
+    label: { type: "plain_text", text: "Pipeline (optional filter)" },
+    element: {
+      type: "external_select",
+      action_id: "hubnote_v2_pipeline_select",
+      placeholder: { type: "plain_text", text: "Select a pipeline" },
+      min_query_length: 0,
+      ...(initialOption ? { initial_option: initialOption } : {}),
+    },
+  };
+}
+
+function buildHubnoteStageBlockV2({ rev = 0, initialOption } = {}) {
+  return {
+    type: "input",
+    block_id: hubnoteBlockId("stage_block_v2", rev),
+    dispatch_action: true,
+    optional: true,
+    label: { type: "plain_text", text: "Pipeline Stage (optional filter)" },
+    element: {
+      type: "external_select",
+      action_id: "hubnote_v2_stage_select",
+      placeholder: { type: "plain_text", text: "Select a stage" },
+      min_query_length: 0,
+      ...(initialOption ? { initial_option: initialOption } : {}),
+    },
+  };
+}
+
+// Optional stage change applied together with the note (tickets/deals only).
+// Option values are "pipelineId:stageId" so a move can also switch pipelines.
+// `rev` changes whenever the record does, so Slack drops a stage picked for the previous record
+function buildHubnoteMoveStageBlockV2({ rev = 0 } = {}) {
+  return {
+    type: "input",
+    block_id: hubnoteBlockId("move_stage_block_v2", rev),
+    optional: true,
+    label: { type: "plain_text", text: "Move to stage" },
+    element: {
+      type: "external_select",
+      action_id: "hubnote_v2_move_stage_select",
+      placeholder: { type: "plain_text", text: "Leave the stage as is" },
+      min_query_length: 0,
+    },
+  };
+}
+
+// Drops pipeline/stage (and "Move to stage") for contacts/companies and puts them back for tickets/deals
+function applyHubnoteRecordTypeBlocks(
+  blocks,
+  recordType,
+  pipelineBlockOpts = {},
+  stageBlockOpts = {},
+  moveStageRev = 0
+) {
+  const pipelineId = hubnoteBlockIdIn(blocks, "pipeline_block_v2");
+  const stageId = hubnoteBlockIdIn(blocks, "stage_block_v2");
+  const moveStageId = hubnoteBlockIdIn(blocks, "move_stage_block_v2");
+  const kept = (blocks || []).filter(
+    (b) => b.block_id !== pipelineId && b.block_id !== stageId && b.block_id !== moveStageId
+  );
+  if (!hsRecordTypeHasPipelines(recordType)) return kept;
+
+  const typeIdx = kept.findIndex((b) => b.block_id === hubnoteBlockIdIn(kept, "record_type_block_v2"));
+  kept.splice(
+    typeIdx + 1,
+    0,
+    buildHubnotePipelineBlockV2(pipelineBlockOpts),
+    buildHubnoteStageBlockV2(stageBlockOpts)
+  );
+
+  const recordIdx = kept.findIndex((b) => b.block_id === hubnoteBlockIdIn(kept, "record_block_v2"));
+  kept.splice(recordIdx + 1, 0, buildHubnoteMoveStageBlockV2({ rev: moveStageRev }));
+  return kept;
+}
+
+function nextHubnoteMoveStageRev(meta) {
+  meta.moveStageRev = (Number(meta.moveStageRev) || 0) + 1;
+  return meta.moveStageRev;
+}
+
 // --------------------------------
 // Hubnote v2 modal builder (REQUIRED)
 // Paste ABOVE app.command("/hubnote"...)
 // --------------------------------
-function buildHubnoteModalV2({ correlationId, originChannelId, originUserId }) {
+function buildHubnoteModalV2({
+  correlationId,
+  originChannelId,
+  originUserId,
+  initialTitle = "",
+  initialBody = "",
+  threadFiles = [],
+  recentRecords = [],
+  initialRecord = null, // { recordType, id, label, pipelineId, pipelineLabel, stageId, stageLabel }
+  extraMetadata = {},
+}) {
+  const titleElement = {
+    type: "plain_text_input",
+    action_id: "hubnote_v2_note_title_input",
+    placeholder: { type: "plain_text", text: "e.g., Call recap" },
+  };
+  if (initialTitle) titleElement.initial_value = initialTitle.slice(0, 150);
+
+  const bodyElement = {
+    type: "plain_text_input",
+    action_id: "hubnote_v2_note_body_input",
+    multiline: true,
+    placeholder: { type: "plain_text", text: "Write your note..." },
+  };
+  if (initialBody) bodyElement.initial_value = initialBody.slice(0, HUBNOTE_BODY_MAX_CHARS);
+
+  const templates = listHubnoteTemplates();
+
   return {
     type: "modal",
     callback_id: "hubnote_modal_submit_v2",
     title: { type: "plain_text", text: "HubSpot Note" },
     submit: { type: "plain_text", text: "Create" },
     close: { type: "plain_text", text: "Cancel" },
+    notify_on_close: true, // closing saves a draft (see view_closed below)
     private_metadata: JSON.stringify({
       correlationId,
       originChannelId,
       originUserId,
       version: "v2",
-      recordType: "ticket", // default
-      pipelineId: "",
-      stageId: "",
-      recordId: "",
+      recordType: initialRecord?.recordType || "ticket", // default
+      pipelineId: initialRecord?.pipelineId || "",
+      stageId: initialRecord?.stageId || "",
+      recordId: initialRecord?.id || "",
+      ...extraMetadata,
     }),
-    blocks: [
-      {
-        type: "input",
-        block_id: "record_type_block_v2",
-        dispatch_action: true,
-        label: { type: "plain_text", text: "Record Type" },
-        element: {
-          type: "static_select",
-          action_id: "hubnote_v2_record_type_select",
-          placeholder: { type: "plain_text", text: "Ticket or Deal" },
-          options: [
-            { text: { type: "plain_text", text: "Ticket" }, value: "ticket" },
-            { text: { type: "plain_text", text: "Deal" }, value: "deal" },
-          ],
-        },
-      },
-      {
-        type: "input",
-        block_id: "pipeline_block_v2",
-        dispatch_action: true,
-        label: { type: "plain_text", text: "Pipeline" },
-        element: {
-          type: "external_select",
-          action_id: "hubnote_v2_pipeline_select",
-          placeholder: { type: "plain_text", text: "Select a pipeline" },
-          min_query_length: 0,
-        },
-      },
-      {
-        type: "input",
-        block_id: "stage_block_v2",
-        dispatch_action: true,
-        label: { type: "plain_text", text: "Pipeline Stage" },
-        element: {
-          type: "external_select",
-          action_id: "hubnote_v2_stage_select",
-          placeholder: { type: "plain_text", text: "Select a stage" },
-          min_query_length: 0,
-        },
-      },
+    blocks: applyHubnoteRecordTypeBlocks(
+      [
+        buildHubnoteRecordTypeBlockV2({ recentRecords, initialType: initialRecord?.recordType }),
+        buildHubnoteRecordBlockV2({ initialOption: hubnoteSelectOption(initialRecord?.id, initialRecord?.label) }),
+      ],
+      initialRecord?.recordType || "ticket",
+      { initialOption: hubnoteSelectOption(initialRecord?.pipelineId, initialRecord?.pipelineLabel) },
+      { initialOption: hubnoteSelectOption(initialRecord?.stageId, initialRecord?.stageLabel) }
+    ).concat([
       {
         type: "input",
-        block_id: "record_block_v2",
-        label: { type: "plain_text", text: "Record" },
+        block_id: "also_assoc_block_v2",
+        optional: true,
+        label: { type: "plain_text", text: "Also associate with" },
         element: {
-          type: "external_select",
-          action_id: "hubnote_v2_record_select",
-          placeholder: { type: "plain_text", text: "Search/select a record" },
-          min_query_length: 0,
+          type: "multi_external_select",
+          action_id: "hubnote_v2_also_assoc_select",
+          placeholder: { type: "plain_text", text: "Other tickets, deals, contacts or companies" },
+          min_query_length: 2,
+          max_selected_items: 10,
         },
       },
+      ...(templates.length ? [buildHubnoteTemplateBlock(templates)] : []),
       {
         type: "input",
         block_id: "note_title_block_v2",
         label: { type: "plain_text", text: "Note Title / Subject" },
-        element: {
-          type: "plain_text_input",
-          action_id: "hubnote_v2_note_title_input",
-          placeholder: { type: "plain_text", text: "e.g., Call recap" },
-        },
+        element: titleElement,
       },
       {
         type: "input",
         block_id: "note_body_block_v2",
         label: { type: "plain_text", text: "Note Body" },
-        element: {
-          type: "plain_text_input",
-          action_id: "hubnote_v2_note_body_input",
-          multiline: true,
-          placeholder: { type: "plain_text", text: "Write your note..." },
-        },
+        element: bodyElement,
       },
-    ],
+      ...buildHubnoteThreadFilesBlocks(threadFiles),
+    ]),
   };
 }
 
+// Files found in a saved Slack thread, all pre-checked (checkboxes cap out at 10 options)
+const HUBNOTE_THREAD_FILES_MAX = 10;
+
+function buildHubnoteThreadFilesBlocks(threadFiles) {
+  if (!threadFiles.length) return [];
+  const opts = threadFiles.slice(0, HUBNOTE_THREAD_FILES_MAX).map((f) => ({
+    text: { type: "plain_text", text: String(f.name || f.id).slice(0, 75) },
+    value: String(f.id),
+  }));
+  const blocks = [
+    {
+      type: "input",
+      block_id: "thread_files_block_v2",
+      optional: true,
+      label: { type: "plain_text", text: "Attach files from the thread" },
+      element: {
+        type: "checkboxes",
+        action_id: "hubnote_v2_thread_files_select",
+        options: opts,
+        initial_options: opts,
+      },
+    },
+  ];
+
+  const omitted = threadFiles.length - opts.length;
+  if (omitted > 0) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `📎 ${omitted} more file${omitted === 1 ? "" : "s"} in this thread can’t be listed here. Attach them after saving with the “Yes” button on the confirmation.`,
+        },
+      ],
+    });
+  }
+  return blocks;
+}
+
 // ==============================
 // /hubnote — handler (ACK FIRST)
 // ==============================
@@ -222,6 +442,32 @@ app.command("/hubnote", async ({ ack, body, client, logger }) => {
   await ack(); // must be first
 
   try {
+    const [subcommand] = (body.text || "").trim().split(/\s+/);
+    if ((subcommand || "").toLowerCase() === "edit") {
+      await handleHubnoteEditCommand({ body, client });
+      return;
+    }
+    if ((subcommand || "").toLowerCase() === "templates") {
+      await handleHubnoteTemplatesCommand({ body, client });
+      return;
+    }
+
+    const draft = getModalDraft(body.user_id, "hubnote");
+    if (draft) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: "You have an unsaved HubSpot note draft.",
+        blocks: buildResumeDraftBlocks({
+          kind: "HubSpot note",
+          savedAt: draft.savedAt,
+          resumeActionId: "hubnote_resume_draft",
+          discardActionId: "hubnote_discard_draft",
+        }),
+      });
+      return;
+    }
+
     const correlationId = `hubnote_${crypto.randomBytes(12).toString("hex")}`;
 
     await client.views.open({
@@ -230,6 +476,7 @@ app.command("/hubnote", async ({ ack, body, client, logger }) => {
         correlationId,
         originChannelId: body.channel_id,
         originUserId: body.user_id,
+        recentRecords: getRecentHubnoteRecords(body.user_id),
       }),
     });
   } catch (e) {
@@ -244,294 +491,1553 @@ app.command("/hubnote", async ({ ack, body, client, logger }) => {
   }
 });
 
-// ===== DEBUG: Bolt event tracing =====
-app.use(async ({ body, next }) => {
+// ==============================
+// /hubnote drafts (saved on close, offered on the next /hubnote)
+// ==============================
+app.view({ callback_id: "hubnote_modal_submit_v2", type: "view_closed" }, async ({ ack, body, view, logger }) => {
+  await ack();
   try {
-    const type = body?.type;
-    const actionId = body?.actions?.[0]?.action_id;
-    const callbackId = body?.view?.callback_id;
-    const command = body?.command;
-    console.log("[BOLT]", { type, command, callbackId, actionId });
-  } catch (_) {}
-  await next();
+    saveModalDraft(body.user.id, "hubnote", view);
+  } catch (e) {
+    logger.error(e);
+  }
 });
 
-app.error(async (error) => {
-  console.error("[BOLT_ERROR]", error);
+app.action("hubnote_resume_draft", async ({ ack, body, client, respond, logger }) => {
+  await ack();
+  try {
+    const draft = getModalDraft(body.user.id, "hubnote");
+    if (!draft) {
+      await respond({ replace_original: true, text: "⚠️ That draft has expired. Run /hubnote to start a new note." });
+      return;
+    }
+    await client.views.open({ trigger_id: body.trigger_id, view: buildModalFromDraft(draft) });
+    // Closing the reopened modal saves a fresh draft; submitting clears it
+    deleteModalDraft(body.user.id, "hubnote");
+    await respond({ delete_original: true });
+  } catch (e) {
+    logger.error(e);
+  }
 });
 
-// Catch anything that would otherwise crash silently
-process.on("unhandledRejection", (err) => console.error("[UNHANDLED_REJECTION]", err));
-process.on("uncaughtException", (err) => console.error("[UNCAUGHT_EXCEPTION]", err));
+app.action("hubnote_discard_draft", async ({ ack, body, client, respond, logger }) => {
+  await ack();
+  try {
+    deleteModalDraft(body.user.id, "hubnote");
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildHubnoteModalV2({
+        correlationId: `hubnote_${crypto.randomBytes(12).toString("hex")}`,
+        originChannelId: body.channel?.id || "",
+        originUserId: body.user.id,
+        recentRecords: getRecentHubnoteRecords(body.user.id),
+      }),
+    });
+    await respond({ delete_original: true });
+  } catch (e) {
+    logger.error(e);
+  }
+});
 
 // ==============================
-// HELPERS
+// HubSpot Note v2: recently used records (per user, persisted)
 // ==============================
-function parsePrivateMetadata(md) {
-  try {
-    return JSON.parse(md || "{}");
-  } catch {
-    return {};
-  }
+const HUBNOTE_RECENT_RECORDS_NS = "hubnoteRecentRecords";
+const HUBNOTE_RECENT_RECORDS_MAX = 8;
+const HUBNOTE_RECENT_PREFIX = "recent:";
+
+function getRecentHubnoteRecords(userId) {
+  return (userId && storeGet(HUBNOTE_RECENT_RECORDS_NS, userId)) || [];
 }
 
+function buildRecentHubnoteRecordOption(r) {
+  const typeLabel = HS_RECORD_TYPE_OPTIONS.find((o) => o.value === r.recordType)?.text.text || r.recordType;
+  return {
+    text: { type: "plain_text", text: `${typeLabel} · ${r.label}`.slice(0, 75) },
+    value: `${HUBNOTE_RECENT_PREFIX}${r.recordType}:${r.id}`,
+  };
+}
 
-function normalizeHubspotNoteId(value) {
-  // Accept: "123", 123, {hubspot_note_id:"123"}, {noteId:"123"}, JSON string of either shape
-  try {
-    if (typeof value === "string") {
-      const trimmed = value.trim();
-      if (!trimmed) return "";
-      // If JSON string, parse and recurse
-      if ((trimmed.startsWith("{") && trimmed.endsWith("}")) || (trimmed.startsWith("[") && trimmed.endsWith("]"))) {
-        return normalizeHubspotNoteId(JSON.parse(trimmed));
-      }
-      return trimmed;
+// "recent:deal:123" → the stored recent entry for that user (null if not a recent value / no longer stored)
+function findRecentHubnoteRecord(userId, value) {
+  if (!String(value || "").startsWith(HUBNOTE_RECENT_PREFIX)) return null;
+  const [recordType, id] = value.slice(HUBNOTE_RECENT_PREFIX.length).split(":");
+  return (
+    getRecentHubnoteRecords(userId).find((r) => r.recordType === recordType && r.id === id) || {
+      recordType,
+      id,
+      label: `${recordType} ${id}`,
     }
-    if (typeof value === "number") return String(value);
-    if (value && typeof value === "object") {
-      if (value.hubspot_note_id) return String(value.hubspot_note_id);
-      if (value.noteId) return normalizeHubspotNoteId(value.noteId);
-    }
-  } catch (_) {}
-  return "";
+  );
 }
 
+// Stores the record with its current pipeline/stage so a later pick can fill those selects too
+async function rememberHubnoteRecordForUser(userId, { recordType, id, label }) {
+  if (!userId || !id) return;
 
-// Safe JSON helpers for private_metadata and other small payloads.
-function safeJsonParse(str, fallback = {}) {
-  try {
-    if (str == null || str === "") return fallback;
-    return JSON.parse(str);
-  } catch {
-    return fallback;
+  const entry = { recordType, id: String(id), label: label || `${recordType} ${id}`, usedAt: nowIso() };
+
+  if (hsRecordTypeHasPipelines(recordType)) {
+    try {
+      Object.assign(entry, await hsGetRecordStage(recordType, id));
+    } catch (e) {
+      console.error("[hubnote recent] pipeline lookup failed:", e?.message || e);
+    }
   }
+
+  const others = getRecentHubnoteRecords(userId).filter((r) => !(r.recordType === recordType && r.id === entry.id));
+  storeSet(HUBNOTE_RECENT_RECORDS_NS, userId, [entry, ...others].slice(0, HUBNOTE_RECENT_RECORDS_MAX));
 }
 
-function safeJsonStringify(obj, fallback = "{}") {
+// Fill record type / pipeline / stage / record from a recent pick in one views.update
+async function applyRecentHubnoteRecord({ view, userId, recent, client }) {
+  const meta = parsePrivateMetadata(view.private_metadata);
+  const rev = (Number(meta.blockRev) || 0) + 1;
+  Object.assign(meta, {
+    recordType: recent.recordType,
+    pipelineId: recent.pipelineId || "",
+    stageId: recent.stageId || "",
+    recordId: recent.id,
+    blockRev: rev,
+  });
+  const moveStageRev = nextHubnoteMoveStageRev(meta);
+
+  const typeBlockId = hubnoteBlockIdIn(view.blocks, "record_type_block_v2");
+  const recordBlockId = hubnoteBlockIdIn(view.blocks, "record_block_v2");
+  const blocks = (view.blocks || []).map((b) => {
+    if (b.block_id === typeBlockId) {
+      return buildHubnoteRecordTypeBlockV2({
+        recentRecords: getRecentHubnoteRecords(userId),
+        rev,
+        initialType: recent.recordType,
+      });
+    }
+    if (b.block_id === recordBlockId) {
+      return buildHubnoteRecordBlockV2({ rev, initialOption: hubnoteSelectOption(recent.id, recent.label) });
+    }
+    return b;
+  });
+
+  const cleanView = buildCleanViewPayload(view, JSON.stringify(meta));
+  cleanView.blocks = applyHubnoteRecordTypeBlocks(
+    blocks,
+    recent.recordType,
+    { rev, initialOption: hubnoteSelectOption(recent.pipelineId, recent.pipelineLabel) },
+    { rev, initialOption: hubnoteSelectOption(recent.stageId, recent.stageLabel) },
+    moveStageRev
+  );
+
+  await client.views.update({ view_id: view.id, hash: view.hash, view: cleanView });
+}
+
+app.action("hubnote_v2_record_select", async ({ ack, body, client, logger }) => {
+  await ack();
   try {
-    return JSON.stringify(obj ?? {});
-  } catch {
-    return fallback;
+    const view = body?.view;
+    const selected = body?.actions?.[0]?.selected_option?.value || "";
+    if (!view?.id) return;
+
+    const recent = findRecentHubnoteRecord(body.user.id, selected);
+    if (recent) {
+      await applyRecentHubnoteRecord({ view, userId: body.user.id, recent, client });
+      return;
+    }
+
+    // Any other record: just clear "Move to stage" (it may hold a stage from the last record's pipeline)
+    const moveBlockId = hubnoteBlockIdIn(view.blocks, "move_stage_block_v2");
+    if (!(view.blocks || []).some((b) => b.block_id === moveBlockId)) return;
+
+    const meta = parsePrivateMetadata(view.private_metadata);
+    meta.recordId = selected;
+    const rev = nextHubnoteMoveStageRev(meta);
+
+    const cleanView = buildCleanViewPayload(view, JSON.stringify(meta));
+    cleanView.blocks = view.blocks.map((b) => (b.block_id === moveBlockId ? buildHubnoteMoveStageBlockV2({ rev }) : b));
+    await client.views.update({ view_id: view.id, hash: view.hash, view: cleanView });
+  } catch (e) {
+    logger.error(e);
   }
+});
+
+// ==============================
+// HubSpot Note v2: note templates (admin-defined via `/hubnote templates`)
+// ==============================
+// A template is { id, name, fields: [{ key, label, type, options, required }] } where type is
+// text | textarea | select | date. Admins write fields one per line: "Label* | type | option, option".
+const HUBNOTE_TEMPLATES_NS = "hubnoteTemplates";
+const HUBNOTE_TEMPLATE_FIELD_TYPES = ["text", "textarea", "select", "date"];
+const HUBNOTE_TEMPLATE_FIELD_PREFIX = "tmplfield_";
+
+const HUBNOTE_ADMIN_USER_IDS = (process.env.HUBNOTE_ADMIN_USER_IDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+async function isHubnoteAdmin(client, userId) {
+  if (HUBNOTE_ADMIN_USER_IDS.length) return HUBNOTE_ADMIN_USER_IDS.includes(userId);
+  const info = await client.users.info({ user: userId });
+  return !!(info?.user?.is_admin || info?.user?.is_owner);
 }
 
-function escapeHtml(str) {
-  return String(str ?? '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+function listHubnoteTemplates() {
+  return Object.values(storeList(HUBNOTE_TEMPLATES_NS)).sort((a, b) => a.name.localeCompare(b.name));
 }
 
-function buildCleanViewPayload(view, privateMetadataString) {
-  return {
-    type: "modal",
-    callback_id: view.callback_id,
-    title: view.title,
-    submit: view.submit,
-    close: view.close,
-    blocks: view.blocks,
-    private_metadata: privateMetadataString ?? view.private_metadata ?? "",
-    clear_on_close: view.clear_on_close,
-    notify_on_close: view.notify_on_close,
-  };
+function getHubnoteTemplate(templateId) {
+  return templateId ? storeGet(HUBNOTE_TEMPLATES_NS, templateId) : null;
 }
 
-// Slack view.state.values can shift if block_id changes.
-// This helper finds selected_option.value by action_id regardless of block_id.
-function findSelectedOptionValue(viewStateValues, actionId) {
-  const blocks = viewStateValues || {};
-  for (const blockId of Object.keys(blocks)) {
-    const actions = blocks[blockId] || {};
-    const v = actions[actionId]?.selected_option?.value;
-    if (v) return v;
+// Returns { fields } or { error } (error names the offending line)
+function parseHubnoteTemplateFields(spec) {
+  const fields = [];
+  const keys = new Set();
+  const lines = String(spec || "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+
+  for (const [i, line] of lines.entries()) {
+    const [rawLabel, rawType = "text", rawOptions = ""] = line.split("|").map((s) => s.trim());
+    const required = rawLabel.endsWith("*");
+    const label = rawLabel.replace(/\*$/, "").trim().slice(0, 60);
+    const type = rawType.toLowerCase();
+
+    if (!label) return { error: `Line ${i + 1}: missing a label.` };
+    if (!HUBNOTE_TEMPLATE_FIELD_TYPES.includes(type)) {
+      return { error: `Line ${i + 1}: type must be one of ${HUBNOTE_TEMPLATE_FIELD_TYPES.join(", ")}.` };
+    }
+    // Option values are cut to Slack's 150 chars, and Slack rejects duplicate values
+    const options = [...new Set(rawOptions.split(",").map((s) => s.trim().slice(0, 150)).filter(Boolean))];
+    if (type === "select" && !options.length) return { error: `Line ${i + 1}: a select needs options after a second "|".` };
+
+    // Keys end up in block_ids (255 chars max), so keep them short
+    let key = label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "").slice(0, 40) || `field_${i + 1}`;
+    while (keys.has(key)) key += "_";
+    keys.add(key);
+
+    fields.push({ key, label, type, options: options.slice(0, 100), required });
   }
-  return "";
+
+  if (!fields.length) return { error: "Add at least one field." };
+  if (fields.length > 20) return { error: "Templates can have at most 20 fields." };
+  return { fields };
 }
 
-// Finds Slack file IDs from view.state.values regardless of block_id
-function findFileIds(viewStateValues, actionId) {
-  const blocks = viewStateValues || {};
-  for (const blockId of Object.keys(blocks)) {
-    const actions = blocks[blockId] || {};
-    const candidate = actions[actionId];
-    const files = candidate?.files;
-    if (Array.isArray(files) && files.length) return files;
-  }
-  return [];
+function serializeHubnoteTemplateFields(fields) {
+  return (fields || [])
+    .map((f) => [`${f.label}${f.required ? "*" : ""}`, f.type, ...(f.options?.length ? [f.options.join(", ")] : [])].join(" | "))
+    .join("\n");
 }
 
+function hubnoteTemplateFieldBlockId(templateId, key) {
+  return `${HUBNOTE_TEMPLATE_FIELD_PREFIX}${templateId}_${key}`;
+}
 
-function option(text, value) {
-  return { text: { type: "plain_text", text }, value: String(value) };
+function buildHubnoteTemplateFieldBlocks(template) {
+  return (template?.fields || []).map((f) => {
+    let element;
+    if (f.type === "select") {
+      element = {
+        type: "static_select",
+        action_id: "tmplfield_input",
+        placeholder: { type: "plain_text", text: "Choose…" },
+        // Deduped again for templates saved before parsing did it
+        options: [...new Set(f.options.map((o) => o.slice(0, 150)))].map((o) => ({
+          text: { type: "plain_text", text: o.slice(0, 75) },
+          value: o,
+        })),
+      };
+    } else if (f.type === "date") {
+      element = { type: "datepicker", action_id: "tmplfield_input" };
+    } else {
+      element = { type: "plain_text_input", action_id: "tmplfield_input", multiline: f.type === "textarea" };
+    }
+    return {
+      type: "input",
+      block_id: hubnoteTemplateFieldBlockId(template.id, f.key),
+      optional: !f.required,
+      label: { type: "plain_text", text: f.label },
+      element,
+    };
+  });
 }
 
-function nowIso() {
-  return new Date().toISOString();
+function buildHubnoteTemplateBlock(templates) {
+  return {
+    type: "input",
+    block_id: "template_block_v2",
+    dispatch_action: true,
+    optional: true,
+    label: { type: "plain_text", text: "Template" },
+    element: {
+      type: "static_select",
+      action_id: "hubnote_v2_template_select",
+      placeholder: { type: "plain_text", text: "Free-form note" },
+      options: [
+        { text: { type: "plain_text", text: "Free-form note" }, value: "none" },
+        ...templates.slice(0, 99).map((t) => ({ text: { type: "plain_text", text: t.name.slice(0, 75) }, value: t.id })),
+      ],
+    },
+  };
 }
 
+// Swap in the chosen template's fields (after the Template select) and relax the free-text body
+function applyHubnoteTemplateBlocks(blocks, template) {
+  const kept = (blocks || [])
+    .filter((b) => !String(b.block_id || "").startsWith(HUBNOTE_TEMPLATE_FIELD_PREFIX))
+    .map((b) =>
+      b.block_id === "note_body_block_v2"
+        ? {
+            ...b,
+            optional: !!template,
+            label: { type: "plain_text", text: template ? "Additional notes" : "Note Body" },
+          }
+        : b
+    );
+  if (!template) return kept;
 
-// -----------------------------
-// /cstask helpers (normalize values for Zapier/Monday)
-// -----------------------------
-function normalizeSlackSelectLabel(selectedOption) {
-  // Accepts Slack selected_option object, or strings/JSON strings.
-  try {
-    if (!selectedOption) return "";
-    // If it's already a string, try parse JSON (some apps put JSON in value)
-    if (typeof selectedOption === "string") {
-      const s = selectedOption.trim();
-      if (!s) return "";
-      if ((s.startsWith("{") && s.endsWith("}")) || (s.startsWith("[") && s.endsWith("]"))) {
-        const parsed = JSON.parse(s);
-        return normalizeSlackSelectLabel(parsed);
-      }
-      return s;
-    }
-    // If Slack option object
-    if (typeof selectedOption === "object") {
-      const txt = selectedOption.text?.text;
-      if (txt) return String(txt);
-      const val = selectedOption.value;
-      if (val == null) return "";
-      return normalizeSlackSelectLabel(val);
-    }
-  } catch (_) {}
-  return "";
+  const idx = kept.findIndex((b) => b.block_id === "template_block_v2");
+  kept.splice(idx + 1, 0, ...buildHubnoteTemplateFieldBlocks(template));
+  return kept;
 }
 
-function extractPlainTextSlackRichValue(value) {
-  // For plain_text_input -> string; for rich_text-like objects -> attempt to flatten to text.
-  if (value == null) return "";
-  if (typeof value === "string") return value;
-  try {
-    const acc = [];
-    const walk = (node) => {
-      if (!node) return;
-      if (typeof node === "string") { acc.push(node); return; }
-      if (Array.isArray(node)) { node.forEach(walk); return; }
-      if (typeof node === "object") {
-        if (node.text) acc.push(String(node.text));
-        if (node.elements) walk(node.elements);
-        if (node.value) walk(node.value);
-      }
-    };
-    walk(value);
-    const out = acc.join("").replace(/\s+/g, " ").trim();
-    return out || JSON.stringify(value);
-  } catch (_) {
-    return String(value);
+// Reads the template fields out of view state; returns { body, errors }
+function renderHubnoteTemplateBody(template, values, extraNotes) {
+  const errors = {};
+  const lines = [`*${template.name}*`];
+
+  for (const f of template.fields) {
+    const blockId = hubnoteTemplateFieldBlockId(template.id, f.key);
+    const el = values[blockId]?.tmplfield_input || {};
+    const value = String(el.selected_option?.value ?? el.selected_date ?? el.value ?? "").trim();
+
+    if (f.required && !value) errors[blockId] = `${f.label} is required.`;
+
+    if (f.type === "textarea") lines.push(`*${f.label}:*`, value || "—");
+    else lines.push(`*${f.label}:* ${value || "—"}`);
   }
+
+  if (extraNotes.trim()) lines.push("", "*Additional notes:*", extraNotes.trim());
+  return { body: lines.join("\n"), errors };
 }
 
+app.action("hubnote_v2_template_select", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    const view = body?.view;
+    if (!view?.id) return;
 
-// ==============================
-// MONDAY API HELPERS
-// ==============================
-const CACHE_MS = 60 * 1000;
-const cache = {
-  boards: { at: 0, options: [] },
-  groupsByBoard: new Map(),
-};
+    const selected = body?.actions?.[0]?.selected_option?.value || "none";
+    const template = getHubnoteTemplate(selected);
 
-async function mondayGraphQL(query, variables = {}) {
-  if (!MONDAY_API_TOKEN) throw new Error("Missing MONDAY_API_TOKEN");
+    const meta = parsePrivateMetadata(view.private_metadata);
+    meta.templateId = template ? template.id : "";
 
-  const res = await axios.post(
-    "https://api.monday.com/v2",
-    { query, variables },
+    const cleanView = buildCleanViewPayload(view, JSON.stringify(meta));
+    cleanView.blocks = applyHubnoteTemplateBlocks(view.blocks, template);
+
+    await client.views.update({ view_id: view.id, hash: view.hash, view: cleanView });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+// ---- Admin: /hubnote templates ----
+const HUBNOTE_TEMPLATE_EXAMPLE = [
+  "Attendees* | text",
+  "Summary* | textarea",
+  "Sentiment | select | Positive, Neutral, At risk",
+  "Next steps | textarea",
+  "Follow-up date | date",
+].join("\n");
+
+function buildHubnoteTemplateEditorModal(template) {
+  return {
+    type: "modal",
+    callback_id: "hubnote_template_submit",
+    title: { type: "plain_text", text: template ? "Edit template" : "New template" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    private_metadata: JSON.stringify({ templateId: template?.id || "" }),
+    blocks: [
+      {
+        type: "input",
+        block_id: "template_name_block",
+        label: { type: "plain_text", text: "Template name" },
+        element: {
+          type: "plain_text_input",
+          action_id: "template_name_input",
+          placeholder: { type: "plain_text", text: "e.g., Call summary" },
+          ...(template ? { initial_value: template.name } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "template_fields_block",
+        label: { type: "plain_text", text: "Fields (one per line)" },
+        hint: {
+          type: "plain_text",
+          text: "Label | type | options — types: text, textarea, select, date. End a label with * to make it required.",
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "template_fields_input",
+          multiline: true,
+          initial_value: template ? serializeHubnoteTemplateFields(template.fields) : HUBNOTE_TEMPLATE_EXAMPLE,
+        },
+      },
+    ],
+  };
+}
+
+function buildHubnoteTemplateListBlocks() {
+  const templates = listHubnoteTemplates();
+  return [
     {
-      headers: {
-        Authorization: MONDAY_API_TOKEN,
-        "Content-Type": "application/json",
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: templates.length ? "*HubSpot note templates*" : "*HubSpot note templates*\nNo templates yet.",
       },
-      timeout: 10000,
-    }
-  );
+      accessory: {
+        type: "button",
+        action_id: "hubnote_template_new",
+        style: "primary",
+        text: { type: "plain_text", text: "➕ New template", emoji: true },
+        value: "new",
+      },
+    },
+    ...templates.flatMap((t) => [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${t.name}*\n${t.fields.map((f) => f.label).join(" · ")}`.slice(0, 3000),
+        },
+      },
+      {
+        type: "actions",
+        elements: [
+          { type: "button", action_id: "hubnote_template_edit", text: { type: "plain_text", text: "Edit" }, value: t.id },
+          {
+            type: "button",
+            action_id: "hubnote_template_delete",
+            style: "danger",
+            text: { type: "plain_text", text: "Delete" },
+            value: t.id,
+            confirm: {
+              title: { type: "plain_text", text: "Delete template?" },
+              text: { type: "plain_text", text: `“${t.name.slice(0, 100)}” will no longer be offered in /hubnote.` },
+              confirm: { type: "plain_text", text: "Delete" },
+              deny: { type: "plain_text", text: "Cancel" },
+            },
+          },
+        ],
+      },
+    ]),
+  ];
+}
 
-  if (res.data?.errors?.length) {
-    throw new Error(`Monday API error: ${JSON.stringify(res.data.errors)}`);
+async function handleHubnoteTemplatesCommand({ body, client }) {
+  if (!(await isHubnoteAdmin(client, body.user_id))) {
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: "🔒 Only workspace admins (or users in HUBNOTE_ADMIN_USER_IDS) can manage note templates.",
+    });
+    return;
   }
 
-  return res.data.data;
+  await client.chat.postEphemeral({
+    channel: body.channel_id,
+    user: body.user_id,
+    text: "HubSpot note templates",
+    blocks: buildHubnoteTemplateListBlocks(),
+  });
 }
 
-async function fetchBoards(search = "") {
-  const now = Date.now();
-  const s = (search || "").trim().toLowerCase();
+app.action("hubnote_template_new", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    if (!(await isHubnoteAdmin(client, body.user.id))) return;
+    await client.views.open({ trigger_id: body.trigger_id, view: buildHubnoteTemplateEditorModal(null) });
+  } catch (e) {
+    logger.error(e);
+  }
+});
 
-  if (!s && cache.boards.options.length && now - cache.boards.at < CACHE_MS) {
-    return cache.boards.options;
+app.action("hubnote_template_edit", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    if (!(await isHubnoteAdmin(client, body.user.id))) return;
+    const template = getHubnoteTemplate(body?.actions?.[0]?.value);
+    if (!template) return;
+    await client.views.open({ trigger_id: body.trigger_id, view: buildHubnoteTemplateEditorModal(template) });
+  } catch (e) {
+    logger.error(e);
   }
+});
 
-  const data = await mondayGraphQL(
-    `
-    query ($limit:Int!) {
-      boards(limit: $limit) { id name }
-    }
-  `,
-    { limit: 100 }
-  );
+app.action("hubnote_template_delete", async ({ ack, body, client, respond, logger }) => {
+  await ack();
+  try {
+    if (!(await isHubnoteAdmin(client, body.user.id))) return;
+    storeDelete(HUBNOTE_TEMPLATES_NS, body?.actions?.[0]?.value);
+    await respond({ replace_original: true, text: "HubSpot note templates", blocks: buildHubnoteTemplateListBlocks() });
+  } catch (e) {
+    logger.error(e);
+  }
+});
 
-  const boards = data?.boards || [];
-  const options = boards
-    .filter((b) => !s || (b.name || "").toLowerCase().includes(s))
-    .slice(0, 100)
-    .map((b) => ({
-      text: { type: "plain_text", text: b.name },
-      value: String(b.id),
-    }));
+app.view("hubnote_template_submit", async ({ ack, body, view, client, logger }) => {
+  const values = view.state.values || {};
+  const meta = parsePrivateMetadata(view.private_metadata);
+  const name = (values.template_name_block?.template_name_input?.value || "").trim();
+  const parsed = parseHubnoteTemplateFields(values.template_fields_block?.template_fields_input?.value);
 
-  if (!s) cache.boards = { at: now, options };
-  return options;
-}
+  const errors = {};
+  if (!name) errors.template_name_block = "Please name the template.";
+  if (parsed.error) errors.template_fields_block = parsed.error;
+  if (Object.keys(errors).length) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
 
-async function fetchGroups(boardId, search = "") {
-  const now = Date.now();
-  const s = (search || "").trim().toLowerCase();
+  if (!(await isHubnoteAdmin(client, body.user.id))) {
+    await ack({ response_action: "errors", errors: { template_name_block: "Only admins can save templates." } });
+    return;
+  }
 
-  if (!s) {
-    const cached = cache.groupsByBoard.get(boardId);
-    if (cached && cached.options?.length && now - cached.at < CACHE_MS) {
-      return cached.options;
-    }
+  const templateId = meta.templateId || `t${crypto.randomBytes(4).toString("hex")}`;
+  storeSet(HUBNOTE_TEMPLATES_NS, templateId, {
+    id: templateId,
+    name: name.slice(0, 75),
+    fields: parsed.fields,
+    updatedBy: body.user.id,
+    updatedAt: nowIso(),
+  });
+
+  await ack();
+
+  try {
+    await client.chat.postMessage({ channel: body.user.id, text: `✅ Saved note template “${name}”.` });
+  } catch (e) {
+    logger.error(e);
   }
+});
 
-  const data = await mondayGraphQL(
-    `
-    query ($ids:[ID!]!) {
-      boards(ids: $ids) {
-        id
-        groups { id title }
+// ==============================
+// "Save thread to HubSpot" message shortcut (prefills /hubnote with a thread transcript)
+// ==============================
+const HUBNOTE_BODY_MAX_CHARS = 3000; // Slack plain_text_input limit
+const SLACK_THREAD_MAX_MESSAGES = 500;
+
+// The part of a long thread's transcript that didn't fit in the form, keyed by the modal's
+// correlationId until the note is saved and it can be appended (the form keeps the first part)
+const HUBNOTE_THREAD_TRANSCRIPTS_NS = "hubnoteThreadTranscripts";
+const HUBSPOT_NOTE_BODY_MAX_CHARS = 65000; // hs_note_body tops out at 65,536
+
+async function slackFetchThreadMessages(client, channel, threadTs) {
+  const messages = [];
+  let cursor;
+  do {
+    const res = await client.conversations.replies({ channel, ts: threadTs, limit: 200, cursor });
+    messages.push(...(res?.messages || []));
+    cursor = res?.response_metadata?.next_cursor || undefined;
+  } while (cursor && messages.length < SLACK_THREAD_MAX_MESSAGES);
+  return messages;
+}
+
+// Pass a `users` Map to also keep the full user objects (e.g. for tz) without a second lookup
+async function slackResolveUserNames(client, userIds, logger, users = null) {
+  const names = new Map();
+  await Promise.all(
+    Array.from(new Set(userIds.filter(Boolean))).map(async (id) => {
+      try {
+        const res = await client.users.info({ user: id });
+        const u = res?.user || {};
+        if (users) users.set(id, u);
+        names.set(id, u.profile?.display_name || u.real_name || u.name || id);
+      } catch (e) {
+        logger?.error?.(e);
+        names.set(id, id);
       }
-    }
-  `,
-    { ids: [boardId] }
+    })
   );
+  return names;
+}
 
-  const groups = data?.boards?.[0]?.groups || [];
+// Slack mrkdwn escapes → readable plain text (mentions use the resolved names)
+function slackTextToPlain(text, userNames) {
+  return String(text || "")
+    .replace(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g, (_, id) => `@${userNames.get(id) || id}`)
+    .replace(/<#C[A-Z0-9]+\|([^>]*)>/g, "#$1")
+    .replace(/<!(here|channel|everyone)>/g, "@$1")
+    .replace(/<!subteam\^[A-Z0-9]+\|([^>]*)>/g, "$1")
+    .replace(/<(https?:[^|>]+)\|([^>]+)>/g, "$2 ($1)")
+    .replace(/<(https?:[^>]+)>/g, "$1")
+    .replace(/<mailto:[^|>]+\|([^>]+)>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
 
-  const options = groups
-    .filter((g) => !s || (g.title || "").toLowerCase().includes(s))
-    .slice(0, 100)
-    .map((g) => ({
-      text: { type: "plain_text", text: g.title },
-      value: String(g.id),
-    }));
+function formatSlackTs(ts, timeZone) {
+  const d = new Date(Number(ts) * 1000);
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || "UTC",
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    }).format(d);
+  } catch (_) {
+    return d.toISOString().replace("T", " ").slice(0, 16) + " UTC";
+  }
+}
+
+/**
+ * Build a timestamped transcript of a Slack thread.
+ * Returns { transcript, files, firstLine } — files are the thread's shared files ({ id, name }).
+ */
+async function buildSlackThreadTranscript(client, { channel, threadTs, viewerUserId }, logger) {
+  const messages = await slackFetchThreadMessages(client, channel, threadTs);
+
+  const users = new Map();
+  const names = await slackResolveUserNames(
+    client,
+    [
+      viewerUserId,
+      ...messages.map((m) => m.user),
+      ...messages.flatMap((m) => Array.from(String(m.text || "").matchAll(/<@([UW][A-Z0-9]+)/g), (x) => x[1])),
+    ],
+    logger,
+    users
+  );
+
+  // Timestamps in the viewer's own timezone
+  const timeZone = users.get(viewerUserId)?.tz || "UTC";
+
+  const files = [];
+  const lines = [];
+  for (const m of messages) {
+    if (m.subtype === "channel_join" || m.subtype === "channel_leave") continue;
+
+    const who = m.user ? names.get(m.user) || m.user : m.username || m.bot_profile?.name || "Bot";
+    const text = slackTextToPlain(m.text, names).trim();
+    const fileNames = (m.files || []).filter((f) => f?.id && f.mode !== "tombstone");
+    for (const f of fileNames) files.push({ id: f.id, name: f.name || f.title || f.id });
+
+    const attached = fileNames.length ? ` [files: ${fileNames.map((f) => f.name || f.title || f.id).join(", ")}]` : "";
+    lines.push(`[${formatSlackTs(m.ts, timeZone)}] ${who}: ${text}${attached}`);
+  }
 
-  if (!s) cache.groupsByBoard.set(boardId, { at: now, options });
-  return options;
+  const transcript = lines.join("\n");
+  const firstLine = slackTextToPlain(messages[0]?.text, names).split(/\r?\n/).find((l) => l.trim()) || "";
+  return { transcript, files, firstLine: firstLine.trim() };
 }
 
-// ==============================
-// DYNAMIC DROPDOWNS (Monday external_select)
-// ==============================
-app.options("board_select", async ({ options, ack, logger }) => {
-  try {
-    const search = options?.value || "";
-    const boardOptions = await fetchBoards(search);
+app.shortcut("hubnote_save_thread", async ({ ack, shortcut, client, logger }) => {
+  await ack();
+
+  const channelId = shortcut.channel?.id || "";
+  const message = shortcut.message || {};
+  const threadTs = message.thread_ts || message.ts || "";
+
+  let viewId;
+  try {
+    // Fetching the thread + names can outlive the trigger_id, so open a placeholder first
+    const opened = await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: {
+        type: "modal",
+        title: { type: "plain_text", text: "HubSpot Note" },
+        close: { type: "plain_text", text: "Cancel" },
+        blocks: [{ type: "section", text: { type: "mrkdwn", text: "⏳ Loading the thread…" } }],
+      },
+    });
+    viewId = opened?.view?.id;
+
+    const [{ transcript, files, firstLine }, permalink] = await Promise.all([
+      buildSlackThreadTranscript(client, { channel: channelId, threadTs, viewerUserId: shortcut.user.id }, logger),
+      client.chat
+        .getPermalink({ channel: channelId, message_ts: threadTs })
+        .then((res) => res?.permalink || "")
+        .catch(() => ""),
+    ]);
+
+    const correlationId = `hubnote_${crypto.randomBytes(12).toString("hex")}`;
+    const linkLine = permalink ? `\n\nSlack thread: ${permalink}` : "";
+
+    // The body input holds 3000 characters; the rest of a longer transcript is kept aside and
+    // appended on save, so each line ends up in the note exactly once
+    let body = `${transcript}${linkLine}`;
+    const fullTranscript = body.length > HUBNOTE_BODY_MAX_CHARS;
+    if (fullTranscript) {
+      const suffix = "\n… (continued below the note when you save)";
+      const room = HUBNOTE_BODY_MAX_CHARS - suffix.length - linkLine.length;
+      const lineBreak = transcript.lastIndexOf("\n", room);
+      const cut = lineBreak > room / 2 ? lineBreak : room; // prefer ending on a whole message
+      body = `${transcript.slice(0, cut)}${suffix}${linkLine}`;
+      storeSet(HUBNOTE_THREAD_TRANSCRIPTS_NS, correlationId, {
+        rest: transcript.slice(cut).replace(/^\n/, ""),
+        savedAt: Date.now(),
+      });
+    }
+
+    await client.views.update({
+      view_id: viewId,
+      view: buildHubnoteModalV2({
+        correlationId,
+        originChannelId: channelId,
+        originUserId: shortcut.user.id,
+        initialTitle: `Slack thread: ${firstLine}`.slice(0, 150),
+        initialBody: body,
+        threadFiles: files,
+        recentRecords: getRecentHubnoteRecords(shortcut.user.id),
+        extraMetadata: {
+          originThreadTs: threadTs,
+          fullTranscript,
+          omittedThreadFiles: Math.max(0, files.length - HUBNOTE_THREAD_FILES_MAX),
+        },
+      }),
+    });
+  } catch (e) {
+    logger.error(e);
+    const text =
+      e?.data?.error === "not_in_channel" || e?.data?.error === "channel_not_found"
+        ? "❌ I can’t read that thread — invite me to the channel and try again."
+        : "❌ I couldn’t load that thread. Please try again or use /hubnote.";
+    try {
+      if (viewId) {
+        await client.views.update({
+          view_id: viewId,
+          view: {
+            type: "modal",
+            title: { type: "plain_text", text: "HubSpot Note" },
+            close: { type: "plain_text", text: "Close" },
+            blocks: [{ type: "section", text: { type: "mrkdwn", text } }],
+          },
+        });
+      } else {
+        await client.chat.postMessage({ channel: shortcut.user.id, text });
+      }
+    } catch (_) {}
+  }
+});
+
+// ===== DEBUG: Bolt event tracing =====
+app.use(async ({ body, next }) => {
+  try {
+    const type = body?.type;
+    const actionId = body?.actions?.[0]?.action_id;
+    const callbackId = body?.view?.callback_id;
+    const command = body?.command;
+    console.log("[BOLT]", { type, command, callbackId, actionId });
+  } catch (_) {}
+  await next();
+});
+
+app.error(async (error) => {
+  console.error("[BOLT_ERROR]", error);
+});
+
+// Catch anything that would otherwise crash silently
+process.on("unhandledRejection", (err) => console.error("[UNHANDLED_REJECTION]", err));
+process.on("uncaughtException", (err) => console.error("[UNCAUGHT_EXCEPTION]", err));
+
+// ==============================
+// HELPERS
+// ==============================
+function parsePrivateMetadata(md) {
+  try {
+    return JSON.parse(md || "{}");
+  } catch {
+    return {};
+  }
+}
+
+
+function normalizeHubspotNoteId(value) {
+  // Accept: "123", 123, {hubspot_note_id:"123"}, {noteId:"123"}, JSON string of either shape
+  try {
+    if (typeof value === "string") {
+      const trimmed = value.trim();
+      if (!trimmed) return "";
+      // If JSON string, parse and recurse
+      if ((trimmed.startsWith("{") && trimmed.endsWith("}")) || (trimmed.startsWith("[") && trimmed.endsWith("]"))) {
+        return normalizeHubspotNoteId(JSON.parse(trimmed));
+      }
+      return trimmed;
+    }
+    if (typeof value === "number") return String(value);
+    if (value && typeof value === "object") {
+      if (value.hubspot_note_id) return String(value.hubspot_note_id);
+      if (value.noteId) return normalizeHubspotNoteId(value.noteId);
+    }
+  } catch (_) {}
+  return "";
+}
+
+
+// Safe JSON helpers for private_metadata and other small payloads.
+function safeJsonParse(str, fallback = {}) {
+  try {
+    if (str == null || str === "") return fallback;
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+function safeJsonStringify(obj, fallback = "{}") {
+  try {
+    return JSON.stringify(obj ?? {});
+  } catch {
+    return fallback;
+  }
+}
+
+// For HubSpot-sourced text shown as mrkdwn: keeps <!channel>, <@U…> and <url|label> from going live
+function escapeSlackMrkdwn(str) {
+  return String(str ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function buildCleanViewPayload(view, privateMetadataString) {
+  return {
+    type: "modal",
+    callback_id: view.callback_id,
+    title: view.title,
+    submit: view.submit,
+    close: view.close,
+    blocks: view.blocks,
+    private_metadata: privateMetadataString ?? view.private_metadata ?? "",
+    clear_on_close: view.clear_on_close,
+    notify_on_close: view.notify_on_close,
+  };
+}
+
+// Slack view.state.values can shift if block_id changes.
+// This helper finds selected_option.value by action_id regardless of block_id.
+function findSelectedOptionValue(viewStateValues, actionId) {
+  const blocks = viewStateValues || {};
+  for (const blockId of Object.keys(blocks)) {
+    const actions = blocks[blockId] || {};
+    const v = actions[actionId]?.selected_option?.value;
+    if (v) return v;
+  }
+  return "";
+}
+
+// Finds Slack file IDs from view.state.values regardless of block_id
+function findFileIds(viewStateValues, actionId) {
+  const blocks = viewStateValues || {};
+  for (const blockId of Object.keys(blocks)) {
+    const actions = blocks[blockId] || {};
+    const candidate = actions[actionId];
+    const files = candidate?.files;
+    if (Array.isArray(files) && files.length) return files;
+  }
+  return [];
+}
+
+
+function option(text, value) {
+  return { text: { type: "plain_text", text }, value: String(value) };
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+
+// -----------------------------
+// /cstask helpers (normalize values for Zapier/Monday)
+// -----------------------------
+function normalizeSlackSelectLabel(selectedOption) {
+  // Accepts Slack selected_option object, or strings/JSON strings.
+  try {
+    if (!selectedOption) return "";
+    // If it's already a string, try parse JSON (some apps put JSON in value)
+    if (typeof selectedOption === "string") {
+      const s = selectedOption.trim();
+      if (!s) return "";
+      if ((s.startsWith("{") && s.endsWith("}")) || (s.startsWith("[") && s.endsWith("]"))) {
+        const parsed = JSON.parse(s);
+        return normalizeSlackSelectLabel(parsed);
+      }
+      return s;
+    }
+    // If Slack option object
+    if (typeof selectedOption === "object") {
+      const txt = selectedOption.text?.text;
+      if (txt) return String(txt);
+      const val = selectedOption.value;
+      if (val == null) return "";
+      return normalizeSlackSelectLabel(val);
+    }
+  } catch (_) {}
+  return "";
+}
+
+function extractPlainTextSlackRichValue(value) {
+  // For plain_text_input -> string; for rich_text-like objects -> attempt to flatten to text.
+  if (value == null) return "";
+  if (typeof value === "string") return value;
+  try {
+    const acc = [];
+    const walk = (node) => {
+      if (!node) return;
+      if (typeof node === "string") { acc.push(node); return; }
+      if (Array.isArray(node)) { node.forEach(walk); return; }
+      if (typeof node === "object") {
+        if (node.text) acc.push(String(node.text));
+        if (node.elements) walk(node.elements);
+        if (node.value) walk(node.value);
+      }
+    };
+    walk(value);
+    const out = acc.join("").replace(/\s+/g, " ").trim();
+    return out || JSON.stringify(value);
+  } catch (_) {
+    return String(value);
+  }
+}
+
+
+// ==============================
+// PERSISTENT STORE (JSON file)
+// ==============================
+// Small namespaced key/value store for things that must survive a restart
+// (e.g. Monday item → Slack origin). On Render, point SYLLABOT_STORE_PATH at a persistent disk.
+const STORE_PATH =
+  process.env.SYLLABOT_STORE_PATH || path.join(__dirname, "data", "syllabot-store.json");
+const STORE_WRITE_DELAY_MS = 250;
+
+const store = {
+  data: loadStoreFile(),
+  writeTimer: null,
+};
+
+function loadStoreFile() {
+  try {
+    return safeJsonParse(fs.readFileSync(STORE_PATH, "utf8"), {}) || {};
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error("[STORE] load failed:", e.message);
+    return {};
+  }
+}
+
+// Debounced write-to-temp + rename so a crash mid-write never leaves half a file
+function scheduleStoreWrite() {
+  if (store.writeTimer) return;
+  store.writeTimer = setTimeout(async () => {
+    store.writeTimer = null;
+    try {
+      const tmp = `${STORE_PATH}.tmp`;
+      await fs.promises.mkdir(path.dirname(STORE_PATH), { recursive: true });
+      await fs.promises.writeFile(tmp, safeJsonStringify(store.data));
+      await fs.promises.rename(tmp, STORE_PATH);
+    } catch (e) {
+      console.error("[STORE] write failed:", e.message);
+    }
+  }, STORE_WRITE_DELAY_MS);
+}
+
+function storeGet(namespace, key) {
+  return store.data[namespace]?.[key] ?? null;
+}
+
+function storeSet(namespace, key, value) {
+  if (!store.data[namespace]) store.data[namespace] = {};
+  store.data[namespace][key] = value;
+  scheduleStoreWrite();
+  return value;
+}
+
+function storeDelete(namespace, key) {
+  if (!store.data[namespace] || !(key in store.data[namespace])) return;
+  delete store.data[namespace][key];
+  scheduleStoreWrite();
+}
+
+// Returns { key: value } for a namespace (shallow copy)
+function storeList(namespace) {
+  return { ...(store.data[namespace] || {}) };
+}
+
+// ==============================
+// MODAL DRAFTS (view_closed → store → "Resume draft")
+// Saves the closed view's blocks + state so it can be reopened with every field filled back in.
+// ==============================
+const MODAL_DRAFTS_NS = "modalDrafts";
+const MODAL_DRAFT_TTL_HOURS = Number(process.env.HUBNOTE_DRAFT_TTL_HOURS);
+const MODAL_DRAFT_TTL_MS =
+  (Number.isFinite(MODAL_DRAFT_TTL_HOURS) && MODAL_DRAFT_TTL_HOURS > 0 ? MODAL_DRAFT_TTL_HOURS : 72) * 60 * 60 * 1000;
+const MODAL_DRAFT_PRUNE_MS = 60 * 60 * 1000;
+
+function modalDraftKey(userId, kind) {
+  return `${userId}:${kind}`;
+}
+
+function stateValueIsSet(v) {
+  return !!(
+    (typeof v?.value === "string" && v.value.trim()) ||
+    v?.selected_option ||
+    v?.selected_options?.length ||
+    v?.selected_date ||
+    v?.selected_user ||
+    v?.selected_users?.length
+  );
+}
+
+// Returns true if a draft was saved (empty forms aren't worth keeping)
+function saveModalDraft(userId, kind, view) {
+  const values = view?.state?.values || {};
+  const hasInput = Object.values(values).some((block) => Object.values(block || {}).some(stateValueIsSet));
+  if (!userId || !hasInput) return false;
+
+  storeSet(MODAL_DRAFTS_NS, modalDraftKey(userId, kind), {
+    savedAt: Date.now(),
+    view: {
+      callback_id: view.callback_id,
+      title: view.title,
+      submit: view.submit,
+      close: view.close,
+      private_metadata: view.private_metadata || "",
+      blocks: view.blocks || [],
+    },
+    values,
+  });
+  return true;
+}
+
+function getModalDraft(userId, kind) {
+  const key = modalDraftKey(userId, kind);
+  const draft = storeGet(MODAL_DRAFTS_NS, key);
+  if (!draft) return null;
+  if (Date.now() - draft.savedAt > MODAL_DRAFT_TTL_MS) {
+    storeDelete(MODAL_DRAFTS_NS, key);
+    return null;
+  }
+  return draft;
+}
+
+function deleteModalDraft(userId, kind) {
+  storeDelete(MODAL_DRAFTS_NS, modalDraftKey(userId, kind));
+}
+
+// Drafts nobody comes back for (and the long thread transcripts their modals point at) would pile up forever
+function pruneExpiredModalDrafts() {
+  const cutoff = Date.now() - MODAL_DRAFT_TTL_MS;
+  for (const ns of [MODAL_DRAFTS_NS, HUBNOTE_THREAD_TRANSCRIPTS_NS]) {
+    for (const [key, entry] of Object.entries(storeList(ns))) {
+      if (!entry?.savedAt || entry.savedAt < cutoff) storeDelete(ns, key);
+    }
+  }
+}
+
+function startModalDraftPruning() {
+  setInterval(pruneExpiredModalDrafts, MODAL_DRAFT_PRUNE_MS);
+  pruneExpiredModalDrafts();
+}
+
+// Draft → view payload with each input's saved state applied as its initial_* value
+function buildModalFromDraft(draft) {
+  const blocks = (draft.view.blocks || []).map((block) => {
+    if (block.type !== "input" || !block.element) return block;
+
+    const element = { ...block.element };
+    for (const k of ["initial_value", "initial_option", "initial_options", "initial_date", "initial_user", "initial_users"]) {
+      delete element[k];
+    }
+
+    const v = draft.values?.[block.block_id]?.[element.action_id];
+    if (v && stateValueIsSet(v)) {
+      if (typeof v.value === "string") element.initial_value = v.value;
+      if (v.selected_option) element.initial_option = v.selected_option;
+      if (v.selected_options?.length) element.initial_options = v.selected_options;
+      if (v.selected_date) element.initial_date = v.selected_date;
+      if (v.selected_user) element.initial_user = v.selected_user;
+      if (v.selected_users?.length) element.initial_users = v.selected_users;
+    }
+    return { ...block, element };
+  });
+
+  return {
+    type: "modal",
+    ...draft.view,
+    notify_on_close: true,
+    blocks,
+  };
+}
+
+function buildResumeDraftBlocks({ kind, savedAt, resumeActionId, discardActionId }) {
+  const when = `<!date^${Math.floor(savedAt / 1000)}^{date_short_pretty} at {time}|recently>`;
+  return [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `📝 You have an unsaved ${kind} draft from ${when}.` },
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: resumeActionId,
+          style: "primary",
+          text: { type: "plain_text", text: "Resume draft" },
+          value: "resume",
+        },
+        {
+          type: "button",
+          action_id: discardActionId,
+          text: { type: "plain_text", text: "Start fresh" },
+          value: "discard",
+        },
+      ],
+    },
+  ];
+}
+
+// ==============================
+// MONDAY API HELPERS
+// ==============================
+const CACHE_MS = 60 * 1000;
+const cache = {
+  boards: { at: 0, boards: [], loading: null },
+  groupsByBoard: new Map(),
+  columnsByBoard: new Map(),
+  mondayUserIdByEmail: new Map(),
+};
+
+async function mondayGraphQL(query, variables = {}) {
+  if (!MONDAY_API_TOKEN) throw new Error("Missing MONDAY_API_TOKEN");
+
+  const res = await axios.post(
+    "https://api.monday.com/v2",
+    { query, variables },
+    {
+      headers: {
+        Authorization: MONDAY_API_TOKEN,
+        "Content-Type": "application/json",
+      },
+      timeout: 10000,
+    }
+  );
+
+  if (res.data?.errors?.length) {
+    throw new Error(`Monday API error: ${JSON.stringify(res.data.errors)}`);
+  }
+
+  return res.data.data;
+}
+
+// Boards are paged 100 at a time; the full (scoped) list is cached and filtered in memory.
+const MONDAY_BOARDS_PAGE_SIZE = 100;
+const MONDAY_BOARDS_MAX_PAGES = 50;
+const MONDAY_BOARDS_CACHE_MS = 5 * 60 * 1000;
+const MONDAY_BOARDS_COLD_WAIT_MS = 2500; // options requests must be answered within 3s
+const MONDAY_BOARD_RECENT_USE_NS = "mondayBoardRecentUse";
+
+async function loadAllBoards() {
+  const boards = [];
+  for (let page = 1; page <= MONDAY_BOARDS_MAX_PAGES; page++) {
+    const data = await mondayGraphQL(
+      `
+      query ($limit:Int!, $page:Int!, $workspaceIds:[ID]) {
+        boards(limit: $limit, page: $page, state: active, order_by: used_at, workspace_ids: $workspaceIds) {
+          id name type board_folder_id workspace_id
+        }
+      }
+    `,
+      {
+        limit: MONDAY_BOARDS_PAGE_SIZE,
+        page,
+        workspaceIds: MONDAY_WORKSPACE_IDS.length ? MONDAY_WORKSPACE_IDS : null,
+      }
+    );
+
+    const batch = data?.boards || [];
+    boards.push(...batch);
+    if (batch.length < MONDAY_BOARDS_PAGE_SIZE) break;
+  }
+
+  return boards
+    .filter((b) => !b.type || b.type === "board") // skip subitem boards + docs
+    .filter(
+      (b) => !MONDAY_FOLDER_IDS.length || MONDAY_FOLDER_IDS.includes(String(b.board_folder_id || ""))
+    )
+    .map((b) => ({ id: String(b.id), name: b.name || `Board ${b.id}` }));
+}
+
+// Single-flight refresh so concurrent dropdown opens share one crawl
+function refreshBoards() {
+  if (!cache.boards.loading) {
+    cache.boards.loading = loadAllBoards()
+      .then((boards) => {
+        cache.boards = { at: Date.now(), boards, loading: null };
+        return boards;
+      })
+      .catch((e) => {
+        cache.boards.loading = null;
+        throw e;
+      });
+  }
+  return cache.boards.loading;
+}
+
+function markMondayBoardUsed(boardId) {
+  if (boardId) storeSet(MONDAY_BOARD_RECENT_USE_NS, String(boardId), Date.now());
+}
+
+async function fetchBoards(search = "") {
+  const s = (search || "").trim().toLowerCase();
+
+  let boards = cache.boards.boards;
+  if (!cache.boards.at) {
+    // Cold cache: wait briefly, then let the crawl finish in the background
+    boards = await withTimeout(refreshBoards(), MONDAY_BOARDS_COLD_WAIT_MS).catch((e) => {
+      if (String(e?.message || "").startsWith("Timed out")) return null;
+      throw e;
+    });
+    if (!boards) return null;
+  } else if (Date.now() - cache.boards.at > MONDAY_BOARDS_CACHE_MS) {
+    // Stale: serve what we have and refresh behind it
+    refreshBoards().catch((e) => console.error("[monday boards] refresh failed:", e?.message || e));
+  }
+
+  // Boards this app used recently first, then Monday's own used_at order
+  const recentUse = storeList(MONDAY_BOARD_RECENT_USE_NS);
+  const ranked = boards
+    .map((b, idx) => ({ b, idx, used: Number(recentUse[b.id] || 0) }))
+    .filter(({ b }) => !s || b.name.toLowerCase().includes(s))
+    .sort((x, y) => y.used - x.used || x.idx - y.idx);
+
+  return ranked.slice(0, 100).map(({ b }) => ({
+    text: { type: "plain_text", text: b.name.slice(0, 75) },
+    value: b.id,
+  }));
+}
+
+async function fetchGroups(boardId, search = "") {
+  const now = Date.now();
+  const s = (search || "").trim().toLowerCase();
+
+  let groups;
+  const cached = cache.groupsByBoard.get(boardId);
+  if (cached && cached.groups?.length && now - cached.at < CACHE_MS) {
+    groups = cached.groups;
+  } else {
+    const data = await mondayGraphQL(
+      `
+      query ($ids:[ID!]!) {
+        boards(ids: $ids) {
+          id
+          groups { id title position archived deleted }
+        }
+      }
+    `,
+      { ids: [boardId] }
+    );
+
+    groups = (data?.boards?.[0]?.groups || [])
+      .filter((g) => !g.archived && !g.deleted)
+      .sort((a, b) => Number(a.position || 0) - Number(b.position || 0))
+      .map((g) => ({ id: String(g.id), title: g.title || g.id }));
+
+    cache.groupsByBoard.set(boardId, { at: now, groups });
+  }
+
+  return groups
+    .filter((g) => !s || g.title.toLowerCase().includes(s))
+    .slice(0, 100)
+    .map((g) => ({
+      text: { type: "plain_text", text: g.title.slice(0, 75) },
+      value: g.id,
+    }));
+}
+
+// Board columns (id/title/type/settings) — used to map /cstask fields onto real Monday columns
+async function fetchBoardColumns(boardId) {
+  const now = Date.now();
+  const cached = cache.columnsByBoard.get(boardId);
+  if (cached && cached.columns?.length && now - cached.at < CACHE_MS) {
+    return cached.columns;
+  }
+
+  const data = await mondayGraphQL(
+    `
+    query ($ids:[ID!]!) {
+      boards(ids: $ids) {
+        id
+        columns { id title type settings_str }
+      }
+    }
+  `,
+    { ids: [boardId] }
+  );
+
+  const columns = (data?.boards?.[0]?.columns || []).map((c) => ({
+    id: String(c.id),
+    title: c.title || "",
+    // Older API versions report "color"/"multiple-person" instead of "status"/"people"
+    type: c.type === "color" ? "status" : c.type === "multiple-person" ? "people" : c.type || "",
+    settings: safeJsonParse(c.settings_str, {}),
+  }));
+
+  cache.columnsByBoard.set(boardId, { at: now, columns });
+  return columns;
+}
+
+// Picks the columns /cstask writes to. Title match wins, otherwise first column of the right type.
+function pickCsTaskColumns(columns) {
+  const byType = (type) => (columns || []).filter((c) => c.type === type);
+  const titled = (list, re) => list.find((c) => re.test(c.title));
+
+  const statusCols = byType("status");
+  const priority = titled(statusCols, /priority/i) || null;
+  const status =
+    titled(statusCols, /status/i) || statusCols.find((c) => c !== priority) || null;
+
+  const peopleCols = byType("people");
+  const owner = titled(peopleCols, /owner|assign/i) || peopleCols[0] || null;
+
+  const longTextCols = byType("long_text");
+  const description =
+    titled(longTextCols, /desc/i) ||
+    longTextCols[0] ||
+    titled(byType("text"), /desc/i) ||
+    null;
+
+  const fileCols = byType("file");
+  const files = titled(fileCols, /file|attach/i) || fileCols[0] || null;
+
+  return { status, priority, owner, description, files };
+}
+
+// Status-column labels in board order (skips blank and deactivated labels)
+function getStatusColumnLabels(column) {
+  const settings = column?.settings || {};
+  const labels = settings.labels || {};
+  const positions = settings.labels_positions_v2 || {};
+  const deactivated = new Set((settings.deactivated_labels || []).map(String));
+
+  return Object.keys(labels)
+    .filter((idx) => !deactivated.has(String(idx)))
+    .map((idx) => ({ idx, label: String(labels[idx] || "").trim() }))
+    .filter((l) => l.label)
+    .sort((a, b) => (positions[a.idx] ?? Number(a.idx)) - (positions[b.idx] ?? Number(b.idx)))
+    .map((l) => l.label);
+}
+
+function buildCsTaskColumnValues(picked, { description, statusLabel, priorityLabel, ownerMondayUserId }) {
+  const values = {};
+  if (picked.status && statusLabel) values[picked.status.id] = { label: statusLabel };
+  if (picked.priority && priorityLabel) values[picked.priority.id] = { label: priorityLabel };
+  if (picked.owner && ownerMondayUserId) {
+    values[picked.owner.id] = {
+      personsAndTeams: [{ id: Number(ownerMondayUserId), kind: "person" }],
+    };
+  }
+  if (picked.description && description) {
+    values[picked.description.id] =
+      picked.description.type === "long_text" ? { text: description } : description;
+  }
+  return values;
+}
+
+async function mondayFindUserIdByEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  if (!e) return "";
+
+  const now = Date.now();
+  const cached = cache.mondayUserIdByEmail.get(e);
+  if (cached && cached.id && now - cached.at < CACHE_MS) return cached.id;
+
+  const data = await mondayGraphQL(
+    `
+    query ($emails:[String]) {
+      users(emails: $emails) { id email }
+    }
+  `,
+    { emails: [e] }
+  );
+
+  const user = (data?.users || []).find((u) => String(u.email || "").toLowerCase() === e);
+  const id = user?.id ? String(user.id) : "";
+
+  if (id) cache.mondayUserIdByEmail.set(e, { at: now, id });
+  return id;
+}
+
+async function mondayCreateItem({ boardId, groupId, itemName, columnValues }) {
+  const data = await mondayGraphQL(
+    `
+    mutation ($boardId:ID!, $groupId:String!, $itemName:String!, $columnValues:JSON) {
+      create_item(
+        board_id: $boardId
+        group_id: $groupId
+        item_name: $itemName
+        column_values: $columnValues
+      ) { id url }
+    }
+  `,
+    {
+      boardId: String(boardId),
+      groupId: String(groupId),
+      itemName: String(itemName),
+      columnValues: JSON.stringify(columnValues || {}),
+    }
+  );
+
+  const item = data?.create_item;
+  if (!item?.id) throw new Error("Monday create_item returned no item id");
+
+  return {
+    id: String(item.id),
+    url: item.url || `https://monday.com/boards/${boardId}/pulses/${item.id}`,
+  };
+}
+
+/**
+ * Create a CS task item on Monday with status/priority/owner/description mapped
+ * onto the board's real columns. `extraColumnValues` are raw column_values for any
+ * other columns (dates, timelines, ...). Returns { id, url, ownerAssigned }.
+ */
+async function createMondayCsTask({
+  boardId,
+  groupId,
+  taskName,
+  description,
+  statusLabel,
+  priorityLabel,
+  ownerMondayUserId,
+  extraColumnValues = {},
+}) {
+  const columns = await fetchBoardColumns(boardId);
+  const picked = pickCsTaskColumns(columns);
+  const columnValues = {
+    ...extraColumnValues,
+    ...buildCsTaskColumnValues(picked, {
+      description,
+      statusLabel,
+      priorityLabel,
+      ownerMondayUserId,
+    }),
+  };
+
+  const item = await mondayCreateItem({ boardId, groupId, itemName: taskName, columnValues });
+  markMondayBoardUsed(boardId);
+  return { ...item, ownerAssigned: !!(picked.owner && ownerMondayUserId) };
+}
+
+// Monday's file endpoint takes a GraphQL multipart request (query + map + file part)
+async function mondayUploadFileToColumn({ itemId, columnId, filename, mimeType, buffer }) {
+  if (!MONDAY_API_TOKEN) throw new Error("Missing MONDAY_API_TOKEN");
+
+  const fd = new FormData();
+  fd.append(
+    "query",
+    `mutation ($itemId: ID!, $columnId: String!, $file: File!) {
+      add_file_to_column (item_id: $itemId, column_id: $columnId, file: $file) { id }
+    }`
+  );
+  fd.append("variables", JSON.stringify({ itemId: String(itemId), columnId: String(columnId) }));
+  fd.append("map", JSON.stringify({ file: "variables.file" }));
+  fd.append("file", new Blob([buffer], { type: mimeType || "application/octet-stream" }), filename);
+
+  // Same auth/error handling as mondayGraphQL; axios sets the multipart boundary from the FormData
+  let res;
+  try {
+    res = await axios.post("https://api.monday.com/v2/file", fd, {
+      headers: { Authorization: MONDAY_API_TOKEN },
+      timeout: 60000,
+      maxBodyLength: Infinity,
+    });
+  } catch (e) {
+    const data = e?.response?.data;
+    const msg = data?.errors?.[0]?.message || data?.error_message;
+    throw new Error(msg || `Monday file upload failed (${e?.response?.status || e?.code || e?.message})`);
+  }
+
+  const data = res.data || {};
+  if (data.errors?.length || data.error_message) {
+    throw new Error(data.errors?.[0]?.message || data.error_message);
+  }
+  return data.data?.add_file_to_column || {};
+}
+
+/**
+ * Upload Slack files into the item's file column, one at a time.
+ * Never throws for a single file — every file gets its own { name, ok, error } result.
+ */
+async function uploadSlackFilesToMondayItem({ client, boardId, itemId, fileIds }) {
+  const picked = pickCsTaskColumns(await fetchBoardColumns(boardId));
+  if (!picked.files) return { columnMissing: true, results: [] };
+
+  const results = [];
+  for (const fid of fileIds || []) {
+    let name = fid;
+    try {
+      const file = await slackDownloadFileToBuffer(client, fid, { maxBytes: MONDAY_MAX_FILE_BYTES });
+      name = file.filename;
+      await mondayUploadFileToColumn({ itemId, columnId: picked.files.id, ...file });
+      results.push({ name, ok: true });
+    } catch (e) {
+      console.error("[monday file upload] failed:", fid, e?.message || e);
+      results.push({ name: e?.slackFileName || name, ok: false, error: String(e?.message || e).slice(0, 200) });
+    }
+  }
+  return { columnMissing: false, results };
+}
+
+function formatMondayFileUploadReport({ columnMissing, results }) {
+  if (columnMissing) return "⚠️ This board has no file column, so no files were uploaded.";
+  if (!results.length) return "";
+  const ok = results.filter((r) => r.ok).length;
+  return (
+    `📎 Files: ${ok}/${results.length} uploaded\n` +
+    results.map((r) => (r.ok ? `• ✅ ${r.name}` : `• ❌ ${r.name} — ${r.error}`)).join("\n")
+  );
+}
+
+// ==============================
+// DYNAMIC DROPDOWNS (Monday external_select)
+// ==============================
+app.options("board_select", async ({ options, ack, logger }) => {
+  try {
+    const search = options?.value || "";
+    const boardOptions = await fetchBoards(search);
+
+    if (!boardOptions) {
+      return await ack({
+        options: [
+          {
+            text: { type: "plain_text", text: "Still loading boards — type to search again" },
+            value: "BOARDS_LOADING",
+          },
+        ],
+      });
+    }
 
     if (!boardOptions.length) {
       return await ack({
@@ -544,179 +2050,1088 @@ app.options("board_select", async ({ options, ack, logger }) => {
       });
     }
 
-    await ack({ options: boardOptions });
+    await ack({ options: boardOptions });
+  } catch (e) {
+    logger.error(e);
+    await ack({
+      options: [
+        {
+          text: { type: "plain_text", text: "ERROR loading boards (check Render logs)" },
+          value: "ERROR_LOADING_BOARDS",
+        },
+      ],
+    });
+  }
+});
+
+app.action("board_select", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    const selectedBoardId = body?.actions?.[0]?.selected_option?.value || "";
+    const view = body?.view;
+    if (!selectedBoardId || !view?.id) return;
+    if (!/^\d+$/.test(selectedBoardId)) return; // "No boards found" / "Still loading" placeholders
+
+    const meta = parsePrivateMetadata(view.private_metadata);
+    meta.boardId = selectedBoardId;
+
+    const cleanView = buildCleanViewPayload(view, JSON.stringify(meta));
+
+    // Show status/priority only when the board actually has those columns,
+    // plus inputs for the board's date/timeline/numbers/text/dropdown columns.
+    // The /cstask config/bulk/schedule modals reuse these blocks, but everything is optional there.
+    const isConfigView = CSTASK_PICKER_ONLY_VIEWS.includes(view.callback_id);
+    try {
+      const columns = await fetchBoardColumns(selectedBoardId);
+      const picked = pickCsTaskColumns(columns);
+      meta.hasStatusColumn = !!picked.status;
+      meta.hasPriorityColumn = !!picked.priority;
+      const customColumns = isConfigView ? [] : pickCsTaskCustomColumns(columns, picked);
+      meta.customColumns = csTaskCustomColumnsMeta(customColumns);
+      cleanView.private_metadata = JSON.stringify(meta);
+      cleanView.blocks = applyCsTaskColumnBlocks(view.blocks, picked, customColumns, {
+        optional: isConfigView,
+      });
+    } catch (e) {
+      logger.error(e);
+    }
+
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: cleanView,
+    });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+app.options("group_select", async ({ body, options, ack, logger }) => {
+  try {
+    const meta = parsePrivateMetadata(body?.view?.private_metadata);
+    const boardId = meta.boardId || "";
+    const search = options?.value || "";
+
+    if (!boardId) {
+      return await ack({
+        options: [
+          {
+            text: { type: "plain_text", text: "Select a board first" },
+            value: "SELECT_BOARD_FIRST",
+          },
+        ],
+      });
+    }
+
+    const groupOptions = await fetchGroups(boardId, search);
+
+    if (!groupOptions.length) {
+      return await ack({
+        options: [
+          {
+            text: { type: "plain_text", text: "No groups found for this board" },
+            value: "NO_GROUPS_FOUND",
+          },
+        ],
+      });
+    }
+
+    await ack({ options: groupOptions });
+  } catch (e) {
+    logger.error(e);
+    await ack({
+      options: [
+        {
+          text: { type: "plain_text", text: "ERROR loading groups (check Render logs)" },
+          value: "ERROR_LOADING_GROUPS",
+        },
+      ],
+    });
+  }
+});
+
+// Status / priority labels come from the selected board's status columns
+async function ackCsTaskLabelOptions({ body, options, ack, logger }, which) {
+  try {
+    const meta = parsePrivateMetadata(body?.view?.private_metadata);
+    const boardId = meta.boardId || "";
+    const q = (options?.value || "").trim().toLowerCase();
+
+    if (!boardId) {
+      return await ack({ options: [option("Select a board first", "SELECT_BOARD_FIRST")] });
+    }
+
+    const picked = pickCsTaskColumns(await fetchBoardColumns(boardId));
+    const labels = getStatusColumnLabels(picked[which]).filter(
+      (l) => !q || l.toLowerCase().includes(q)
+    );
+
+    if (!labels.length) {
+      return await ack({ options: [option(`No ${which} labels found on this board`, "NO_LABELS_FOUND")] });
+    }
+
+    await ack({ options: toStaticOptions(labels.slice(0, 100)) });
+  } catch (e) {
+    logger.error(e);
+    await ack({ options: [option(`ERROR loading ${which} labels (check Render logs)`, "ERROR_LOADING_LABELS")] });
+  }
+}
+
+// "Select a board first" etc. are options too — never treat them as real labels
+function isCsTaskPlaceholderOption(selectedOption) {
+  return ["SELECT_BOARD_FIRST", "NO_LABELS_FOUND", "ERROR_LOADING_LABELS"].includes(
+    selectedOption?.value || ""
+  );
+}
+
+app.options("status_select", async (args) => ackCsTaskLabelOptions(args, "status"));
+app.options("priority_select", async (args) => ackCsTaskLabelOptions(args, "priority"));
+
+// ==============================
+// /cstask
+// ==============================
+function buildCsTaskStatusBlock({ initialLabel = "", optional = false } = {}) {
+  return {
+    type: "input",
+    block_id: "status_block",
+    ...(optional ? { optional: true } : {}),
+    label: { type: "plain_text", text: "Status" },
+    element: {
+      type: "external_select",
+      action_id: "status_select",
+      placeholder: { type: "plain_text", text: "Select a status" },
+      min_query_length: 0,
+      ...(initialLabel ? { initial_option: option(initialLabel, initialLabel) } : {}),
+    },
+  };
+}
+
+function buildCsTaskPriorityBlock({ initialLabel = "", optional = false } = {}) {
+  return {
+    type: "input",
+    block_id: "priority_block",
+    ...(optional ? { optional: true } : {}),
+    label: { type: "plain_text", text: "Priority" },
+    element: {
+      type: "external_select",
+      action_id: "priority_select",
+      placeholder: { type: "plain_text", text: "Select a priority" },
+      min_query_length: 0,
+      ...(initialLabel ? { initial_option: option(initialLabel, initialLabel) } : {}),
+    },
+  };
+}
+
+function buildCsTaskFilesBlock() {
+  return {
+    type: "input",
+    block_id: "cstask_files_block",
+    optional: true,
+    label: { type: "plain_text", text: "Attachments" },
+    hint: {
+      type: "plain_text",
+      text: `Up to 5 files, ${Math.round(MONDAY_MAX_FILE_BYTES / 1024 / 1024)}MB each. Uploaded to the board’s file column.`,
+    },
+    element: { type: "file_input", action_id: "cstask_files_input", max_files: 5 },
+  };
+}
+
+// Modals that reuse the board/group/status/priority pickers without the full task form
+const CSTASK_PICKER_ONLY_VIEWS = ["cstask_config_submit", "cstask_bulk_submit", "cstask_schedule_submit"];
+
+// Extra board columns rendered as optional inputs (date, timeline, numbers, text, dropdown)
+const CSTASK_CUSTOM_COLUMN_TYPES = ["date", "timeline", "numbers", "text", "dropdown"];
+const CSTASK_MAX_CUSTOM_COLUMNS = 20;
+const CSTASK_COLUMN_BLOCK_PREFIX = "cstask_col_";
+const CSTASK_TIMELINE_END_SUFFIX = "__to";
+
+function pickCsTaskCustomColumns(columns, picked) {
+  const used = new Set(
+    [picked.status, picked.priority, picked.owner, picked.description]
+      .filter(Boolean)
+      .map((c) => c.id)
+  );
+  return (columns || [])
+    .filter((c) => CSTASK_CUSTOM_COLUMN_TYPES.includes(c.type) && !used.has(c.id))
+    .slice(0, CSTASK_MAX_CUSTOM_COLUMNS);
+}
+
+// Just enough of each custom column for the submit handler to read the inputs back
+// without refetching the board (the submit has to ack within 3s).
+function csTaskCustomColumnsMeta(customColumns) {
+  return (customColumns || []).map((c) => ({ id: c.id, type: c.type }));
+}
+
+function buildCsTaskCustomColumnBlocks(customColumns) {
+  const blocks = [];
+  const input = (blockId, label, element) => ({
+    type: "input",
+    block_id: blockId,
+    optional: true,
+    label: { type: "plain_text", text: String(label).slice(0, 75) },
+    element: { action_id: "cstask_col_input", ...element },
+  });
+
+  for (const col of customColumns || []) {
+    const blockId = `${CSTASK_COLUMN_BLOCK_PREFIX}${col.id}`;
+    const title = col.title || col.id;
+
+    if (col.type === "date") {
+      blocks.push(input(blockId, title, { type: "datepicker" }));
+    } else if (col.type === "timeline") {
+      blocks.push(input(blockId, `${title} (start)`, { type: "datepicker" }));
+      blocks.push(input(`${blockId}${CSTASK_TIMELINE_END_SUFFIX}`, `${title} (end)`, { type: "datepicker" }));
+    } else if (col.type === "numbers") {
+      blocks.push(input(blockId, title, { type: "number_input", is_decimal_allowed: true }));
+    } else if (col.type === "text") {
+      blocks.push(input(blockId, title, { type: "plain_text_input" }));
+    } else if (col.type === "dropdown") {
+      const labels = (col.settings?.labels || [])
+        .filter((l) => l && l.name)
+        .slice(0, 100)
+        .map((l) => option(String(l.name).slice(0, 75), l.id));
+      if (!labels.length) continue;
+      blocks.push(
+        input(blockId, title, {
+          type: "multi_static_select",
+          placeholder: { type: "plain_text", text: "Select one or more" },
+          options: labels,
+        })
+      );
+    }
+  }
+
+  return blocks;
+}
+
+// Turns the cstask_col_* inputs back into Monday column_values (+ Slack field errors)
+function readCsTaskCustomColumnValues(stateValues, columns) {
+  const columnValues = {};
+  const errors = {};
+  const byId = new Map((columns || []).map((c) => [c.id, c]));
+  const values = stateValues || {};
+
+  for (const blockId of Object.keys(values)) {
+    if (!blockId.startsWith(CSTASK_COLUMN_BLOCK_PREFIX)) continue;
+    if (blockId.endsWith(CSTASK_TIMELINE_END_SUFFIX)) continue;
+
+    const colId = blockId.slice(CSTASK_COLUMN_BLOCK_PREFIX.length);
+    const col = byId.get(colId);
+    const el = values[blockId]?.cstask_col_input;
+    if (!col || !el) continue;
+
+    if (col.type === "date") {
+      if (el.selected_date) columnValues[colId] = { date: el.selected_date };
+    } else if (col.type === "timeline") {
+      const endBlockId = `${blockId}${CSTASK_TIMELINE_END_SUFFIX}`;
+      const from = el.selected_date || "";
+      const to = values[endBlockId]?.cstask_col_input?.selected_date || "";
+      if (!from && !to) continue;
+      if (from && to && to < from) {
+        errors[endBlockId] = "End date can’t be before the start date.";
+        continue;
+      }
+      columnValues[colId] = { from: from || to, to: to || from };
+    } else if (col.type === "numbers") {
+      const n = String(el.value ?? "").trim();
+      if (n) columnValues[colId] = n;
+    } else if (col.type === "text") {
+      const t = String(el.value || "").trim();
+      if (t) columnValues[colId] = t;
+    } else if (col.type === "dropdown") {
+      const ids = (el.selected_options || []).map((o) => Number(o.value)).filter((n) => !Number.isNaN(n));
+      if (ids.length) columnValues[colId] = { ids };
+    }
+  }
+
+  return { columnValues, errors };
+}
+
+// Re-adds/drops the status + priority blocks depending on which columns the board has,
+// and swaps in the selected board's custom column inputs at the end of the form.
+// `opts` carries initial labels (channel defaults) and `optional` for the config modal.
+function applyCsTaskColumnBlocks(blocks, picked, customColumns = [], opts = {}) {
+  const kept = (blocks || []).filter(
+    (b) =>
+      b.block_id !== "status_block" &&
+      b.block_id !== "priority_block" &&
+      !String(b.block_id || "").startsWith(CSTASK_COLUMN_BLOCK_PREFIX)
+  );
+  const groupIdx = kept.findIndex((b) => b.block_id === "group_block");
+  const insertAt = groupIdx === -1 ? kept.length : groupIdx + 1;
+
+  const columnBlocks = [];
+  if (picked.status) {
+    columnBlocks.push(
+      buildCsTaskStatusBlock({ initialLabel: opts.statusLabel, optional: opts.optional })
+    );
+  }
+  if (picked.priority) {
+    columnBlocks.push(
+      buildCsTaskPriorityBlock({ initialLabel: opts.priorityLabel, optional: opts.optional })
+    );
+  }
+
+  kept.splice(insertAt, 0, ...columnBlocks);
+  return [...kept, ...buildCsTaskCustomColumnBlocks(customColumns)];
+}
+
+function buildCsTaskModal({
+  privateMetadata = {},
+  initialTaskName = "",
+  initialDescription = "",
+  defaults = null,
+} = {}) {
+  const d = defaults || {};
+  const meta = { ...privateMetadata, ...(d.boardId ? { boardId: d.boardId } : {}) };
+
+  return {
+    type: "modal",
+    callback_id: "cstask_modal_submit",
+    title: { type: "plain_text", text: "Create CS Task" },
+    submit: { type: "plain_text", text: "Create" },
+    close: { type: "plain_text", text: "Cancel" },
+    private_metadata: JSON.stringify(meta),
+    blocks: [
+      {
+        type: "input",
+        block_id: "task_name_block",
+        label: { type: "plain_text", text: "Task Name" },
+        element: {
+          type: "plain_text_input",
+          action_id: "task_name_input",
+          ...(initialTaskName ? { initial_value: initialTaskName } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "description_block",
+        optional: true,
+        label: { type: "plain_text", text: "Description" },
+        element: {
+          type: "plain_text_input",
+          action_id: "description_input",
+          multiline: true,
+          ...(initialDescription ? { initial_value: initialDescription } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "owner_block",
+        label: { type: "plain_text", text: "Task Owner" },
+        element: { type: "users_select", action_id: "owner_user_select" },
+      },
+      {
+        type: "input",
+        block_id: "board_block",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "Monday Board" },
+        element: {
+          type: "external_select",
+          action_id: "board_select",
+          placeholder: { type: "plain_text", text: "Search/select a board" },
+          min_query_length: 0,
+          ...(d.boardId ? { initial_option: option(d.boardName || `Board ${d.boardId}`, d.boardId) } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "group_block",
+        label: { type: "plain_text", text: "Monday Group" },
+        element: {
+          type: "external_select",
+          action_id: "group_select",
+          placeholder: { type: "plain_text", text: "Search/select a group" },
+          min_query_length: 0,
+          ...(d.groupId ? { initial_option: option(d.groupName || d.groupId, d.groupId) } : {}),
+        },
+      },
+      buildCsTaskStatusBlock({ initialLabel: d.statusLabel }),
+      buildCsTaskPriorityBlock({ initialLabel: d.priorityLabel }),
+      buildCsTaskFilesBlock(),
+      // Zapier mode never learns the item id, so there is nothing to sync with
+      ...(CSTASK_CREATE_MODE === "zapier"
+        ? []
+        : [
+            {
+              type: "input",
+              block_id: "cstask_sync_block",
+              optional: true,
+              label: { type: "plain_text", text: "Thread sync" },
+              element: {
+                type: "checkboxes",
+                action_id: "cstask_sync_checkbox",
+                options: [option("Sync thread replies with Monday item updates", "sync")],
+              },
+            },
+          ]),
+    ],
+  };
+}
+
+/**
+ * Build the /cstask modal with the channel's defaults applied. When a default board is set,
+ * its columns are loaded up front so status/priority/custom inputs match that board.
+ */
+async function buildCsTaskModalForChannel(channelId, opts = {}, logger) {
+  const defaults = getCsTaskChannelDefaults(channelId);
+  const view = buildCsTaskModal({ ...opts, defaults });
+  if (!defaults?.boardId) return view;
+
+  try {
+    // trigger_id is only valid for 3s — never let a slow Monday call eat it
+    const columns = await withTimeout(fetchBoardColumns(defaults.boardId), 1500);
+    const picked = pickCsTaskColumns(columns);
+    const meta = parsePrivateMetadata(view.private_metadata);
+    meta.hasStatusColumn = !!picked.status;
+    meta.hasPriorityColumn = !!picked.priority;
+    const customColumns = pickCsTaskCustomColumns(columns, picked);
+    meta.customColumns = csTaskCustomColumnsMeta(customColumns);
+    view.private_metadata = JSON.stringify(meta);
+    view.blocks = applyCsTaskColumnBlocks(view.blocks, picked, customColumns, {
+      statusLabel: defaults.statusLabel,
+      priorityLabel: defaults.priorityLabel,
+    });
   } catch (e) {
-    logger.error(e);
+    logger?.error?.(e);
+  }
+  return view;
+}
+
+// ==============================
+// /cstask config — per-channel defaults (admins only)
+// ==============================
+const CSTASK_CHANNEL_DEFAULTS_NS = "cstaskChannelDefaults";
+
+// Comma-separated Slack user IDs; when unset, workspace admins/owners may configure
+const CSTASK_ADMIN_USER_IDS = (process.env.CSTASK_ADMIN_USER_IDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+function getCsTaskChannelDefaults(channelId) {
+  return channelId ? storeGet(CSTASK_CHANNEL_DEFAULTS_NS, channelId) : null;
+}
+
+// Workspace admin flags rarely change; caching keeps users.info off the trigger_id clock
+const csTaskAdminCache = new Map(); // userId -> { isAdmin, at }
+const CSTASK_ADMIN_CACHE_MS = 10 * 60 * 1000;
+
+async function isCsTaskAdmin(client, userId) {
+  if (CSTASK_ADMIN_USER_IDS.length) return CSTASK_ADMIN_USER_IDS.includes(userId);
+  const cached = csTaskAdminCache.get(userId);
+  if (cached && Date.now() - cached.at < CSTASK_ADMIN_CACHE_MS) return cached.isAdmin;
+
+  const info = await client.users.info({ user: userId });
+  const isAdmin = !!(info?.user?.is_admin || info?.user?.is_owner);
+  csTaskAdminCache.set(userId, { isAdmin, at: Date.now() });
+  return isAdmin;
+}
+
+function buildCsTaskConfigModal({ channelId, defaults }) {
+  const d = defaults || {};
+  return {
+    type: "modal",
+    callback_id: "cstask_config_submit",
+    title: { type: "plain_text", text: "CS Task Defaults" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    private_metadata: JSON.stringify({ channelId, boardId: d.boardId || "" }),
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text:
+            `Defaults for /cstask in <#${channelId}>. Leave a field empty to not preselect it.\n` +
+            "_Use `/cstask config clear` to remove this channel’s defaults._",
+        },
+      },
+      {
+        type: "input",
+        block_id: "board_block",
+        dispatch_action: true,
+        optional: true,
+        label: { type: "plain_text", text: "Monday Board" },
+        element: {
+          type: "external_select",
+          action_id: "board_select",
+          placeholder: { type: "plain_text", text: "Search/select a board" },
+          min_query_length: 0,
+          ...(d.boardId ? { initial_option: option(d.boardName || `Board ${d.boardId}`, d.boardId) } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "group_block",
+        optional: true,
+        label: { type: "plain_text", text: "Monday Group" },
+        element: {
+          type: "external_select",
+          action_id: "group_select",
+          placeholder: { type: "plain_text", text: "Search/select a group" },
+          min_query_length: 0,
+          ...(d.groupId ? { initial_option: option(d.groupName || d.groupId, d.groupId) } : {}),
+        },
+      },
+      buildCsTaskStatusBlock({ initialLabel: d.statusLabel, optional: true }),
+      buildCsTaskPriorityBlock({ initialLabel: d.priorityLabel, optional: true }),
+    ],
+  };
+}
+
+async function handleCsTaskConfigCommand({ body, client, args }) {
+  const channelId = body.channel_id;
+  const userId = body.user_id;
+  const deniedText = "🔒 Only workspace admins (or users in CSTASK_ADMIN_USER_IDS) can change /cstask defaults.";
+
+  if ((args[0] || "").toLowerCase() === "clear") {
+    if (!(await isCsTaskAdmin(client, userId))) {
+      await client.chat.postEphemeral({ channel: channelId, user: userId, text: deniedText });
+      return;
+    }
+    storeDelete(CSTASK_CHANNEL_DEFAULTS_NS, channelId);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: `✅ Cleared /cstask defaults for <#${channelId}>.`,
+    });
+    return;
+  }
+
+  // The admin lookup can outlive the trigger_id, so open a placeholder first
+  const opened = await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      title: { type: "plain_text", text: "CS Task Defaults" },
+      close: { type: "plain_text", text: "Cancel" },
+      blocks: [{ type: "section", text: { type: "mrkdwn", text: "⏳ Loading…" } }],
+    },
+  });
+  const viewId = opened?.view?.id;
+
+  if (!(await isCsTaskAdmin(client, userId))) {
+    await client.views.update({
+      view_id: viewId,
+      view: {
+        type: "modal",
+        title: { type: "plain_text", text: "CS Task Defaults" },
+        close: { type: "plain_text", text: "Close" },
+        blocks: [{ type: "section", text: { type: "mrkdwn", text: deniedText } }],
+      },
+    });
+    return;
+  }
+
+  await client.views.update({
+    view_id: viewId,
+    view: buildCsTaskConfigModal({ channelId, defaults: getCsTaskChannelDefaults(channelId) }),
+  });
+}
+
+app.view("cstask_config_submit", async ({ ack, body, view, client, logger }) => {
+  const meta = parsePrivateMetadata(view.private_metadata);
+  const values = view.state.values || {};
+  const channelId = meta.channelId || "";
+
+  const boardOption = values.board_block?.board_select?.selected_option;
+  const groupOption = values.group_block?.group_select?.selected_option;
+  const statusOption = values.status_block?.status_select?.selected_option;
+  const priorityOption = values.priority_block?.priority_select?.selected_option;
+
+  const boardId = boardOption?.value || "";
+  const groupId = groupOption?.value || "";
+
+  if (!boardId && (groupId || statusOption || priorityOption)) {
     await ack({
-      options: [
-        {
-          text: { type: "plain_text", text: "ERROR loading boards (check Render logs)" },
-          value: "ERROR_LOADING_BOARDS",
+      response_action: "errors",
+      errors: { board_block: "Pick a board for the group/status/priority defaults." },
+    });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const defaults = {
+      boardId,
+      boardName: boardId ? normalizeSlackSelectLabel(boardOption) : "",
+      groupId,
+      groupName: groupId ? normalizeSlackSelectLabel(groupOption) : "",
+      statusLabel: isCsTaskPlaceholderOption(statusOption) ? "" : normalizeSlackSelectLabel(statusOption),
+      priorityLabel: isCsTaskPlaceholderOption(priorityOption) ? "" : normalizeSlackSelectLabel(priorityOption),
+      updatedBy: body.user.id,
+      updatedAt: nowIso(),
+    };
+
+    if (boardId) {
+      storeSet(CSTASK_CHANNEL_DEFAULTS_NS, channelId, defaults);
+    } else {
+      storeDelete(CSTASK_CHANNEL_DEFAULTS_NS, channelId);
+    }
+
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: boardId
+        ? `✅ Saved /cstask defaults for <#${channelId}>:\n` +
+          `• *Board:* ${defaults.boardName}\n` +
+          `• *Group:* ${defaults.groupName || "—"}\n` +
+          `• *Status:* ${defaults.statusLabel || "—"}\n` +
+          `• *Priority:* ${defaults.priorityLabel || "—"}`
+        : `✅ Cleared /cstask defaults for <#${channelId}>.`,
+    });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+// ==============================
+// /cstask bulk — many tasks from pasted lines or a CSV
+// ==============================
+const CSTASK_BULK_MAX_ROWS = 50;
+
+function buildCsTaskBulkModal({ channelId, defaults }) {
+  const d = defaults || {};
+  return {
+    type: "modal",
+    callback_id: "cstask_bulk_submit",
+    title: { type: "plain_text", text: "Bulk CS Tasks" },
+    submit: { type: "plain_text", text: "Create all" },
+    close: { type: "plain_text", text: "Cancel" },
+    private_metadata: JSON.stringify({ channelId, boardId: d.boardId || "" }),
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text:
+            "One task per line: `Task name | status | priority | owner` (everything after the name is optional).\n" +
+            "Owner can be an email or an @mention. Or upload a CSV with `name,status,priority,owner` columns.\n" +
+            `_Up to ${CSTASK_BULK_MAX_ROWS} tasks at a time. Blank status/priority/owner use the defaults below._`,
         },
-      ],
+      },
+      {
+        type: "input",
+        block_id: "board_block",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "Monday Board" },
+        element: {
+          type: "external_select",
+          action_id: "board_select",
+          placeholder: { type: "plain_text", text: "Search/select a board" },
+          min_query_length: 0,
+          ...(d.boardId ? { initial_option: option(d.boardName || `Board ${d.boardId}`, d.boardId) } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "group_block",
+        label: { type: "plain_text", text: "Monday Group" },
+        element: {
+          type: "external_select",
+          action_id: "group_select",
+          placeholder: { type: "plain_text", text: "Search/select a group" },
+          min_query_length: 0,
+          ...(d.groupId ? { initial_option: option(d.groupName || d.groupId, d.groupId) } : {}),
+        },
+      },
+      buildCsTaskStatusBlock({ initialLabel: d.statusLabel, optional: true }),
+      buildCsTaskPriorityBlock({ initialLabel: d.priorityLabel, optional: true }),
+      {
+        type: "input",
+        block_id: "bulk_owner_block",
+        optional: true,
+        label: { type: "plain_text", text: "Default Owner" },
+        element: { type: "users_select", action_id: "bulk_owner_select" },
+      },
+      {
+        type: "input",
+        block_id: "bulk_lines_block",
+        optional: true,
+        label: { type: "plain_text", text: "Tasks" },
+        element: {
+          type: "plain_text_input",
+          action_id: "bulk_lines_input",
+          multiline: true,
+          placeholder: {
+            type: "plain_text",
+            text: "Kickoff call | Not Started | High | jane@school.org\nSend welcome packet\nSchedule training | | Medium",
+          },
+        },
+      },
+      {
+        type: "input",
+        block_id: "bulk_csv_block",
+        optional: true,
+        label: { type: "plain_text", text: "…or upload a CSV" },
+        element: {
+          type: "file_input",
+          action_id: "bulk_csv_input",
+          filetypes: ["csv"],
+          max_files: 1,
+        },
+      },
+    ],
+  };
+}
+
+// Minimal RFC 4180-ish CSV parser (quoted fields, escaped quotes, CRLF)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (inQuotes) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => String(cell).trim()));
+}
+
+// CSV rows → [{ name, status, priority, owner }]; a header row is optional
+function csTaskRowsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+
+  const header = rows[0].map((h) => String(h).trim().toLowerCase());
+  const hasHeader = header.some((h) => ["name", "task", "task name"].includes(h));
+  const col = (names, fallback) => {
+    const idx = header.findIndex((h) => names.includes(h));
+    return hasHeader ? idx : fallback;
+  };
+
+  const idx = {
+    name: col(["name", "task", "task name"], 0),
+    status: col(["status"], 1),
+    priority: col(["priority"], 2),
+    owner: col(["owner", "owner email", "assignee"], 3),
+  };
+  const cell = (r, i) => (i >= 0 ? String(r[i] ?? "").trim() : "");
+
+  return (hasHeader ? rows.slice(1) : rows).map((r) => ({
+    name: cell(r, idx.name),
+    status: cell(r, idx.status),
+    priority: cell(r, idx.priority),
+    owner: cell(r, idx.owner),
+  }));
+}
+
+// "Task name | status | priority | owner" lines → same row shape as the CSV
+function csTaskRowsFromLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [name = "", status = "", priority = "", owner = ""] = line.split("|").map((p) => p.trim());
+      return { name, status, priority, owner };
     });
+}
+
+// Matches a typed label against the board's labels (case-insensitive) → canonical label or ""
+function matchBoardLabel(labels, typed) {
+  const t = String(typed || "").trim().toLowerCase();
+  return (labels || []).find((l) => l.toLowerCase() === t) || "";
+}
+
+// Owner cell → email. Accepts an email, <@U123>, or a bare Slack user ID.
+async function resolveBulkOwnerEmail(client, owner) {
+  const raw = String(owner || "").trim();
+  if (!raw) return "";
+  if (/^[^@\s<>]+@[^@\s<>]+\.[^@\s<>]+$/.test(raw)) return raw;
+
+  const mention = raw.match(/^<@([A-Z0-9]+)(\|[^>]*)?>$/) || raw.match(/^([UW][A-Z0-9]{6,})$/);
+  if (!mention) throw new Error(`Owner “${raw}” isn’t an email or @mention`);
+
+  const info = await client.users.info({ user: mention[1] });
+  const email = info?.user?.profile?.email || "";
+  if (!email) throw new Error(`No email visible for <@${mention[1]}>`);
+  return email;
+}
+
+async function createCsTaskBulkRow({ client, row, boardId, groupId, labels, defaults }) {
+  const name = row.name.slice(0, 250);
+  if (!name) throw new Error("Missing task name");
+
+  const statusLabel = row.status ? matchBoardLabel(labels.status, row.status) : defaults.statusLabel;
+  if (row.status && !statusLabel) throw new Error(`Unknown status “${row.status}”`);
+
+  const priorityLabel = row.priority
+    ? matchBoardLabel(labels.priority, row.priority)
+    : defaults.priorityLabel;
+  if (row.priority && !priorityLabel) throw new Error(`Unknown priority “${row.priority}”`);
+
+  const ownerEmail = row.owner ? await resolveBulkOwnerEmail(client, row.owner) : defaults.ownerEmail;
+  let ownerMondayUserId = "";
+  if (ownerEmail) {
+    ownerMondayUserId = await mondayFindUserIdByEmail(ownerEmail);
+    if (!ownerMondayUserId) throw new Error(`No Monday account for ${ownerEmail}`);
+  }
+
+  return createMondayCsTask({
+    boardId,
+    groupId,
+    taskName: name,
+    description: "",
+    statusLabel,
+    priorityLabel,
+    ownerMondayUserId,
+  });
+}
+
+app.view("cstask_bulk_submit", async ({ ack, body, view, client, logger }) => {
+  const meta = parsePrivateMetadata(view.private_metadata);
+  const values = view.state.values || {};
+
+  const boardId = meta.boardId || values.board_block?.board_select?.selected_option?.value || "";
+  const groupId = values.group_block?.group_select?.selected_option?.value || "";
+  const statusOption = values.status_block?.status_select?.selected_option;
+  const priorityOption = values.priority_block?.priority_select?.selected_option;
+  const defaultOwnerId = values.bulk_owner_block?.bulk_owner_select?.selected_user || "";
+  const linesText = values.bulk_lines_block?.bulk_lines_input?.value || "";
+  const csvFileIds = extractSlackFileIdsFromView(view);
+
+  const errors = {};
+  if (!boardId) errors.board_block = "Please select a board.";
+  if (!groupId) errors.group_block = "Please select a group.";
+  if (!linesText.trim() && !csvFileIds.length) {
+    errors.bulk_lines_block = "Paste at least one task line or upload a CSV.";
+  }
+  if (linesText.trim() && csTaskRowsFromLines(linesText).length > CSTASK_BULK_MAX_ROWS) {
+    errors.bulk_lines_block = `That’s more than ${CSTASK_BULK_MAX_ROWS} tasks — split it into smaller batches.`;
+  }
+
+  // A modal opened before the mode was switched could still be submitted
+  if (CSTASK_CREATE_MODE === "zapier") {
+    errors.bulk_lines_block = "Bulk create isn’t available while CSTASK_CREATE_MODE=zapier.";
+  }
+
+  if (Object.keys(errors).length) {
+    await ack({ response_action: "errors", errors });
+    return;
   }
-});
 
-app.action("board_select", async ({ ack, body, client, logger }) => {
   await ack();
+
+  const userId = body.user.id;
+
   try {
-    const selectedBoardId = body?.actions?.[0]?.selected_option?.value || "";
-    const view = body?.view;
-    if (!selectedBoardId || !view?.id) return;
+    let rows = csTaskRowsFromLines(linesText);
+    for (const fid of csvFileIds) {
+      const { buffer } = await slackDownloadFileToBuffer(client, fid);
+      rows = rows.concat(csTaskRowsFromCsv(buffer.toString("utf8")));
+    }
 
-    const meta = parsePrivateMetadata(view.private_metadata);
-    meta.boardId = selectedBoardId;
+    if (!rows.length) {
+      await client.chat.postMessage({ channel: userId, text: "⚠️ I didn’t find any tasks to create." });
+      return;
+    }
+    if (rows.length > CSTASK_BULK_MAX_ROWS) {
+      await client.chat.postMessage({
+        channel: userId,
+        text: `⚠️ Found ${rows.length} tasks — the limit is ${CSTASK_BULK_MAX_ROWS} per batch. Nothing was created.`,
+      });
+      return;
+    }
 
-    const cleanView = buildCleanViewPayload(view, JSON.stringify(meta));
-    await client.views.update({
-      view_id: view.id,
-      hash: view.hash,
-      view: cleanView,
+    const picked = pickCsTaskColumns(await fetchBoardColumns(boardId));
+    const labels = {
+      status: getStatusColumnLabels(picked.status),
+      priority: getStatusColumnLabels(picked.priority),
+    };
+
+    let defaultOwnerEmail = "";
+    if (defaultOwnerId) {
+      const info = await client.users.info({ user: defaultOwnerId });
+      defaultOwnerEmail = info?.user?.profile?.email || "";
+    }
+
+    const defaults = {
+      statusLabel: isCsTaskPlaceholderOption(statusOption) ? "" : normalizeSlackSelectLabel(statusOption),
+      priorityLabel: isCsTaskPlaceholderOption(priorityOption) ? "" : normalizeSlackSelectLabel(priorityOption),
+      ownerEmail: defaultOwnerEmail,
+    };
+
+    await client.chat.postMessage({ channel: userId, text: `⏳ Creating ${rows.length} Monday tasks…` });
+
+    // One at a time keeps us well inside Monday's complexity budget
+    const report = [];
+    let created = 0;
+    for (const [i, row] of rows.entries()) {
+      try {
+        const item = await createCsTaskBulkRow({ client, row, boardId, groupId, labels, defaults });
+        created++;
+        // Pasted/CSV names are user text: escape them and keep "|" from ending the link label
+        report.push(`✅ ${i + 1}. <${item.url}|${escapeSlackMrkdwn(row.name).replace(/\|/g, "/")}> (item ${item.id})`);
+      } catch (e) {
+        logger.error(e);
+        report.push(
+          `❌ ${i + 1}. ${escapeSlackMrkdwn(row.name || "(no name)")} — ${escapeSlackMrkdwn(String(e?.message || e).slice(0, 200))}`
+        );
+      }
+    }
+
+    await client.chat.postMessage({
+      channel: userId,
+      text:
+        `${created === rows.length ? "✅" : "⚠️"} Bulk create finished: ${created}/${rows.length} tasks created.\n` +
+        report.join("\n"),
     });
   } catch (e) {
     logger.error(e);
+    await client.chat.postMessage({
+      channel: userId,
+      text: "❌ Bulk task creation failed before any rows were processed. Check Render logs and try again.",
+    });
   }
 });
 
-app.options("group_select", async ({ body, options, ack, logger }) => {
-  try {
-    const meta = parsePrivateMetadata(body?.view?.private_metadata);
-    const boardId = meta.boardId || "";
-    const search = options?.value || "";
+// ==============================
+// /cstask schedule — recurring tasks (features/cstaskSchedule.js)
+// ==============================
+const { registerCsTaskSchedules } = require("./features/cstaskSchedule");
 
-    if (!boardId) {
-      return await ack({
-        options: [
-          {
-            text: { type: "plain_text", text: "Select a board first" },
-            value: "SELECT_BOARD_FIRST",
-          },
-        ],
-      });
+const csTaskSchedules = registerCsTaskSchedules({
+  app,
+  storeGet,
+  storeSet,
+  storeDelete,
+  storeList,
+  createMondayCsTask,
+  mondayFindUserIdByEmail,
+  rememberMondayItemOrigin,
+  isCsTaskAdmin,
+  getCsTaskChannelDefaults,
+  buildCsTaskStatusBlock,
+  buildCsTaskPriorityBlock,
+  isCsTaskPlaceholderOption,
+  normalizeSlackSelectLabel,
+  parsePrivateMetadata,
+  nowIso,
+  withTimeout,
+  createMode: CSTASK_CREATE_MODE,
+});
+
+app.command("/cstask", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const [subcommand, ...args] = (body.text || "").trim().split(/\s+/);
+
+  try {
+    if ((subcommand || "").toLowerCase() === "config") {
+      await handleCsTaskConfigCommand({ body, client, args });
+      return;
     }
 
-    const groupOptions = await fetchGroups(boardId, search);
+    if ((subcommand || "").toLowerCase() === "schedule") {
+      await csTaskSchedules.handleScheduleCommand({ body, client, args });
+      return;
+    }
 
-    if (!groupOptions.length) {
-      return await ack({
-        options: [
-          {
-            text: { type: "plain_text", text: "No groups found for this board" },
-            value: "NO_GROUPS_FOUND",
-          },
-        ],
+    if ((subcommand || "").toLowerCase() === "bulk") {
+      if (CSTASK_CREATE_MODE === "zapier") {
+        await client.chat.postEphemeral({
+          channel: body.channel_id,
+          user: body.user_id,
+          text: "⚠️ `/cstask bulk` creates items directly in Monday, so it isn’t available while CSTASK_CREATE_MODE=zapier.",
+        });
+        return;
+      }
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildCsTaskBulkModal({
+          channelId: body.channel_id,
+          defaults: getCsTaskChannelDefaults(body.channel_id),
+        }),
       });
+      return;
     }
 
-    await ack({ options: groupOptions });
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: await buildCsTaskModalForChannel(body.channel_id, {}, logger),
+    });
   } catch (e) {
     logger.error(e);
-    await ack({
-      options: [
-        {
-          text: { type: "plain_text", text: "ERROR loading groups (check Render logs)" },
-          value: "ERROR_LOADING_GROUPS",
-        },
-      ],
-    });
+    try {
+      await client.chat.postMessage({
+        channel: body.user_id,
+        text: "❌ I couldn’t open the task form. Please try again or contact an admin.",
+      });
+    } catch (_) {}
   }
 });
 
 // ==============================
-// /cstask (KEEP AS-IS BEHAVIOR)
+// "Create CS task" message shortcut (prefills /cstask from a Slack message)
 // ==============================
-app.command("/cstask", async ({ ack, body, client, logger }) => {
+app.shortcut("cstask_from_message", async ({ ack, shortcut, client, logger }) => {
   await ack();
 
   try {
+    const message = shortcut.message || {};
+    const channelId = shortcut.channel?.id || "";
+    const messageTs = message.ts || "";
+    const text = String(message.text || "").trim();
+
+    const firstLine = text.split(/\r?\n/).find((l) => l.trim()) || "";
+
+    // The message permalink is added to the description at submit time (see cstask_modal_submit),
+    // so nothing slow runs before views.open uses the trigger_id.
     await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: "modal",
-        callback_id: "cstask_modal_submit",
-        title: { type: "plain_text", text: "Create CS Task" },
-        submit: { type: "plain_text", text: "Create" },
-        close: { type: "plain_text", text: "Cancel" },
-        private_metadata: JSON.stringify({}),
-        blocks: [
-          {
-            type: "input",
-            block_id: "task_name_block",
-            label: { type: "plain_text", text: "Task Name" },
-            element: { type: "plain_text_input", action_id: "task_name_input" },
-          },
-          {
-            type: "input",
-            block_id: "description_block",
-            optional: true,
-            label: { type: "plain_text", text: "Description" },
-            element: {
-              type: "plain_text_input",
-              action_id: "description_input",
-              multiline: true,
-            },
-          },
-          {
-            type: "input",
-            block_id: "owner_block",
-            label: { type: "plain_text", text: "Task Owner" },
-            element: { type: "users_select", action_id: "owner_user_select" },
-          },
-          {
-            type: "input",
-            block_id: "board_block",
-            dispatch_action: true,
-            label: { type: "plain_text", text: "Monday Board" },
-            element: {
-              type: "external_select",
-              action_id: "board_select",
-              placeholder: { type: "plain_text", text: "Search/select a board" },
-              min_query_length: 0,
-            },
-          },
-          {
-            type: "input",
-            block_id: "group_block",
-            label: { type: "plain_text", text: "Monday Group" },
-            element: {
-              type: "external_select",
-              action_id: "group_select",
-              placeholder: { type: "plain_text", text: "Search/select a group" },
-              min_query_length: 0,
-            },
-          },
-          {
-            type: "input",
-            block_id: "status_block",
-            label: { type: "plain_text", text: "Status" },
-            element: {
-              type: "static_select",
-              action_id: "status_select",
-              placeholder: { type: "plain_text", text: "Select a status" },
-              options: toStaticOptions(STATUS_LABELS),
-            },
-          },
-          {
-            type: "input",
-            block_id: "priority_block",
-            label: { type: "plain_text", text: "Priority" },
-            element: {
-              type: "static_select",
-              action_id: "priority_select",
-              placeholder: { type: "plain_text", text: "Select a priority" },
-              options: toStaticOptions(PRIORITY_LABELS),
-            },
+      trigger_id: shortcut.trigger_id,
+      view: await buildCsTaskModalForChannel(
+        channelId,
+        {
+          initialTaskName: firstLine.trim().slice(0, 250),
+          initialDescription: text.slice(0, 2800),
+          privateMetadata: {
+            originChannelId: channelId,
+            originMessageTs: messageTs,
+            // Reply in the existing thread if the message is already a reply
+            originThreadTs: message.thread_ts || messageTs,
+            originMessageUserId: message.user || "",
           },
-        ],
-      },
+        },
+        logger
+      ),
     });
   } catch (e) {
     logger.error(e);
     try {
       await client.chat.postMessage({
-        channel: body.user_id,
-        text: "❌ I couldn’t open the task form. Please try again or contact an admin.",
+        channel: shortcut.user.id,
+        text: "❌ I couldn’t open the task form from that message. Please try again or use /cstask.",
       });
     } catch (_) {}
   }
@@ -725,33 +3140,51 @@ app.command("/cstask", async ({ ack, body, client, logger }) => {
 app.view("cstask_modal_submit", async ({ ack, body, view, client, logger }) => {
   const taskName =
     view.state.values.task_name_block.task_name_input.value?.trim() || "";
-  const description =
+  let description =
     view.state.values.description_block?.description_input?.value?.trim() || "";
 
   const ownerSlackUserId =
     view.state.values.owner_block.owner_user_select.selected_user || "";
 
+  const fileIds = extractSlackFileIdsFromView(view);
+
+  const syncThread = (
+    view.state.values.cstask_sync_block?.cstask_sync_checkbox?.selected_options || []
+  ).some((o) => o.value === "sync");
+
   const meta = parsePrivateMetadata(view.private_metadata);
   const boardId = meta.boardId || "";
 
   const groupId =
     view.state.values.group_block.group_select.selected_option?.value || "";
 
-  const statusLabel = normalizeSlackSelectLabel(
-    view.state.values.status_block.status_select.selected_option
-  );
+  // Status/priority blocks are dropped when the board has no matching column
+  const statusRequired = meta.hasStatusColumn !== false;
+  const priorityRequired = meta.hasPriorityColumn !== false;
 
-  const priorityLabel = normalizeSlackSelectLabel(
-    view.state.values.priority_block.priority_select.selected_option
-  );
+  const statusOption = view.state.values.status_block?.status_select?.selected_option;
+  const priorityOption = view.state.values.priority_block?.priority_select?.selected_option;
+
+  const statusLabel = isCsTaskPlaceholderOption(statusOption)
+    ? ""
+    : normalizeSlackSelectLabel(statusOption);
+
+  const priorityLabel = isCsTaskPlaceholderOption(priorityOption)
+    ? ""
+    : normalizeSlackSelectLabel(priorityOption);
 
   const errors = {};
   if (!taskName) errors["task_name_block"] = "Task name is required.";
   if (!ownerSlackUserId) errors["owner_block"] = "Please select an owner.";
   if (!boardId) errors["board_block"] = "Please select a board.";
   if (!groupId) errors["group_block"] = "Please select a group.";
-  if (!statusLabel) errors["status_block"] = "Please select a status.";
-  if (!priorityLabel) errors["priority_block"] = "Please select a priority.";
+  if (statusRequired && !statusLabel) errors["status_block"] = "Please select a status.";
+  if (priorityRequired && !priorityLabel) errors["priority_block"] = "Please select a priority.";
+
+  // Column ids/types were stashed when the board was picked, so nothing here waits on Monday
+  const custom = readCsTaskCustomColumnValues(view.state.values, meta.customColumns || []);
+  const extraColumnValues = custom.columnValues;
+  Object.assign(errors, custom.errors);
 
   if (Object.keys(errors).length) {
     await ack({ response_action: "errors", errors });
@@ -760,6 +3193,21 @@ app.view("cstask_modal_submit", async ({ ack, body, view, client, logger }) => {
 
   await ack();
 
+  // Opened from a message: link back to it (fetched here rather than before views.open)
+  if (meta.originChannelId && meta.originMessageTs) {
+    try {
+      const res = await client.chat.getPermalink({
+        channel: meta.originChannelId,
+        message_ts: meta.originMessageTs,
+      });
+      if (res?.permalink) {
+        description = [description, `Slack message: ${res.permalink}`].filter(Boolean).join("\n\n");
+      }
+    } catch (e) {
+      logger.error(e);
+    }
+  }
+
   let taskOwnerEmail = null;
   try {
     const userInfo = await client.users.info({ user: ownerSlackUserId });
@@ -778,9 +3226,170 @@ app.view("cstask_modal_submit", async ({ ack, body, view, client, logger }) => {
     return;
   }
 
-  if (!ZAPIER_WEBHOOK_URL) {
+  // Zapier only needs the owner's email, so don't let a Monday lookup block it
+  if (CSTASK_CREATE_MODE === "zapier") {
+    await sendCsTaskToZapier({
+      client,
+      logger,
+      userId: body.user.id,
+      task: {
+        taskName,
+        description,
+        boardId,
+        groupId,
+        statusLabel,
+        priorityLabel,
+        ownerSlackUserId,
+        taskOwnerEmail,
+        ownerMondayUserId: "", // Zapier looks the owner up by email
+        extraColumnValues,
+        fileCount: fileIds.length,
+      },
+    });
+    return;
+  }
+
+  // Owner must exist in Monday so we can fill the board's people column
+  let ownerMondayUserId = "";
+  try {
+    ownerMondayUserId = await mondayFindUserIdByEmail(taskOwnerEmail);
+  } catch (e) {
+    logger.error(e);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: "❌ I couldn’t look up the task owner in Monday. Check Render logs and try again.",
+    });
+    return;
+  }
+
+  if (!ownerMondayUserId) {
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text:
+        "⚠️ I couldn’t find a Monday account for the selected owner.\n" +
+        `• *Unmatched email:* ${taskOwnerEmail}\n` +
+        "Their Slack and Monday emails must match. Ask a Monday admin to invite them (or fix the email), then try again.",
+    });
+    return;
+  }
+
+
+  try {
+    const item = await createMondayCsTask({
+      boardId,
+      groupId,
+      taskName,
+      description,
+      statusLabel,
+      priorityLabel,
+      ownerMondayUserId,
+      extraColumnValues,
+    });
+
+    let fileReport = "";
+    if (fileIds.length) {
+      try {
+        fileReport = formatMondayFileUploadReport(
+          await uploadSlackFilesToMondayItem({ client, boardId, itemId: item.id, fileIds })
+        );
+      } catch (e) {
+        logger.error(e);
+        fileReport = "❌ I couldn’t upload the attached files. Use “Add files” to try again.";
+      }
+    }
+
+    const confirmationText =
+      `✅ Task created in Monday!\n` +
+      `• *Task:* <${item.url}|${taskName}>\n` +
+      `• *Item ID:* ${item.id}\n` +
+      `• *Board ID:* ${boardId}\n` +
+      `• *Group ID:* ${groupId}\n` +
+      `• *Status:* ${statusLabel || "—"}\n` +
+      `• *Priority:* ${priorityLabel || "—"}\n` +
+      `• *Owner:* ${taskOwnerEmail}` +
+      (item.ownerAssigned ? "" : "\n_This board has no people column, so the owner wasn’t assigned in Monday._") +
+      (fileReport ? `\n\n${fileReport}` : "");
+
+    const confirmation = await client.chat.postMessage({
+      channel: body.user.id,
+      text: confirmationText,
+      blocks: [
+        { type: "section", text: { type: "mrkdwn", text: confirmationText.slice(0, 3000) } },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              action_id: "cstask_add_files",
+              text: { type: "plain_text", text: "📎 Add files", emoji: true },
+              value: JSON.stringify({ itemId: item.id, boardId, taskName: taskName.slice(0, 150) }),
+            },
+          ],
+        },
+      ],
+    });
+
+    // Created from a message shortcut → keep the conversation and the task connected
+    if (meta.originChannelId && meta.originThreadTs) {
+      try {
+        await client.chat.postMessage({
+          channel: meta.originChannelId,
+          thread_ts: meta.originThreadTs,
+          text: `📋 <@${body.user.id}> created a Monday task from this message: <${item.url}|${taskName}>`,
+        });
+      } catch (e) {
+        logger.error(e);
+      }
+    }
+
+    // Monday webhook events for this item get posted back where the task came from
+    const origin = {
+      boardId,
+      taskName,
+      itemUrl: item.url,
+      createdBy: body.user.id,
+      channelId: meta.originChannelId || confirmation?.channel || body.user.id,
+      threadTs: meta.originChannelId ? meta.originThreadTs : confirmation?.ts || "",
+    };
+    rememberMondayItemOrigin(item.id, origin);
+
+    if (syncThread) {
+      try {
+        await enableMondayThreadSync(client, item.id, origin);
+      } catch (e) {
+        logger.error(e);
+      }
+    }
+  } catch (e) {
+    logger.error(e);
     await client.chat.postMessage({
       channel: body.user.id,
+      text:
+        "❌ I couldn’t create that task in Monday. Check Render logs and try again.\n" +
+        `_${String(e?.message || e).slice(0, 300)}_`,
+    });
+  }
+});
+
+// Fallback: relay the flat /cstask payload to Zapier and let the Zap create the item.
+async function sendCsTaskToZapier({ client, logger, userId, task }) {
+  const {
+    taskName,
+    description,
+    boardId,
+    groupId,
+    statusLabel,
+    priorityLabel,
+    ownerSlackUserId,
+    taskOwnerEmail,
+    ownerMondayUserId,
+    extraColumnValues,
+    fileCount,
+  } = task;
+
+  if (!ZAPIER_WEBHOOK_URL) {
+    await client.chat.postMessage({
+      channel: userId,
       text: "❌ ZAPIER_WEBHOOK_URL is missing. Add it in Render env vars and redeploy.",
     });
     return;
@@ -796,28 +3405,108 @@ app.view("cstask_modal_submit", async ({ ack, body, view, client, logger }) => {
         monday_board_id: String(boardId || ""),
         monday_group_id: String(groupId || ""),
         task_name: String(taskName || ""),
-        task_owner_slack_user_id: String(body.user.id || ""),
+        task_owner_slack_user_id: String(ownerSlackUserId || ""),
+        task_owner_email: String(taskOwnerEmail || ""),
+        task_owner_monday_user_id: String(ownerMondayUserId || ""),
+        submitted_by_slack_user_id: String(userId || ""),
+        // Extra board columns as a Monday column_values JSON string (date/timeline/numbers/text/dropdown)
+        monday_column_values: JSON.stringify(extraColumnValues || {}),
       },
       { headers: { "Content-Type": "application/json" }, timeout: 10000 }
     );
 
+    await client.chat.postMessage({
+      channel: userId,
+      text:
+        `✅ Task sent to Zapier!\n` +
+        `• *Task:* ${taskName}\n` +
+        `• *Board ID:* ${boardId}\n` +
+        `• *Group ID:* ${groupId}\n` +
+        `• *Status:* ${statusLabel || "—"}\n` +
+        `• *Priority:* ${priorityLabel || "—"}\n` +
+        `• *Owner:* ${taskOwnerEmail}` +
+        (fileCount ? "\n_Attachments aren’t supported in Zapier mode, so files weren’t uploaded._" : ""),
+    });
+  } catch (e) {
+    logger.error(e);
+    await client.chat.postMessage({
+      channel: userId,
+      text: "❌ I couldn’t send that task to Zapier. Check Zapier + Render logs and try again.",
+    });
+  }
+}
+
+// ==============================
+// /cstask "Add files" follow-up (confirmation DM button)
+// ==============================
+function buildCsTaskAttachFilesModal({ itemId, boardId, taskName }) {
+  return {
+    type: "modal",
+    callback_id: "cstask_attach_files_submit",
+    title: { type: "plain_text", text: "Attach files" },
+    submit: { type: "plain_text", text: "Upload" },
+    close: { type: "plain_text", text: "Cancel" },
+    private_metadata: JSON.stringify({ itemId, boardId, taskName }),
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Upload up to 5 files to *${taskName || `item ${itemId}`}* in Monday.`,
+        },
+      },
+      { ...buildCsTaskFilesBlock(), optional: false },
+    ],
+  };
+}
+
+app.action("cstask_add_files", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    const ctx = safeJsonParse(body?.actions?.[0]?.value, {}) || {};
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildCsTaskAttachFilesModal(ctx),
+    });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+app.view("cstask_attach_files_submit", async ({ ack, body, view, client, logger }) => {
+  await ack();
+
+  const meta = safeJsonParse(view.private_metadata, {});
+  try {
+    const fileIds = extractSlackFileIdsFromView(view);
+
+    if (!meta.itemId || !meta.boardId || !fileIds.length) {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "No files selected — nothing to upload.",
+      });
+      return;
+    }
+
+    const report = await uploadSlackFilesToMondayItem({
+      client,
+      boardId: meta.boardId,
+      itemId: meta.itemId,
+      fileIds,
+    });
+
     await client.chat.postMessage({
       channel: body.user.id,
-      text:
-        `✅ Task sent to Zapier!\n` +
-        `• *Task:* ${taskName}\n` +
-        `• *Board ID:* ${boardId}\n` +
-        `• *Group ID:* ${groupId}\n` +
-        `• *Status:* ${statusLabel}\n` +
-        `• *Priority:* ${priorityLabel}\n` +
-        `• *Owner:* ${taskOwnerEmail}`,
+      text: `*${meta.taskName || `Item ${meta.itemId}`}*\n${formatMondayFileUploadReport(report)}`,
     });
   } catch (e) {
     logger.error(e);
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: "❌ I couldn’t send that task to Zapier. Check Zapier + Render logs and try again.",
-    });
+    try {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: "❌ Failed to upload files to Monday. Check Render logs and try again.",
+      });
+    } catch (_) {}
   }
 });
 
@@ -852,55 +3541,22 @@ registerHubtask({
   hubspotRequest,
   parsePrivateMetadata,
   buildCleanViewPayload,
+  saveModalDraft,
+  getModalDraft,
+  deleteModalDraft,
+  buildModalFromDraft,
+  buildResumeDraftBlocks,
 });
 
 
 // ==============================
 // HUBSPOT FILE UPLOAD + NOTE ATTACHMENTS
 // ==============================
-async function hsUploadFileFromBuffer({ filename, buffer, mimeType }) {
-  if (!HUBSPOT_PRIVATE_APP_TOKEN) throw new Error('Missing HUBSPOT_PRIVATE_APP_TOKEN');
-
-  const fd = new FormData();
-  const blob = new Blob([buffer], { type: mimeType || 'application/octet-stream' });
-  fd.append('file', blob, filename);
-  fd.append('fileName', filename);
-  fd.append('options', JSON.stringify({ access: 'PRIVATE', overwrite: false }));
-  // HubSpot Files API requires either folderId or folderPath
-  const folderId = process.env.HUBSPOT_FILES_FOLDER_ID;
-  const folderPath = process.env.HUBSPOT_FILES_FOLDER_PATH;
-  if (folderId) {
-    fd.append('folderId', String(folderId));
-  } else {
-    fd.append('folderPath', folderPath || '/Syllabot Uploads');
-  }
-
-  const res = await fetch('https://api.hubapi.com/files/v3/files', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${HUBSPOT_PRIVATE_APP_TOKEN}` },
-    body: fd,
-  });
-
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    const msg = data?.message || data?.error || `HubSpot file upload failed (${res.status})`;
-    const err = new Error(msg);
-    err.status = res.status;
-    err.data = data;
-    throw err;
-  }
-
-  // Files API returns an object containing `id`
-  return data;
-}
-
 async function hsAppendAttachmentsToNote(noteId, attachmentIds) {
   if (!noteId) throw new Error('Missing noteId');
   if (!attachmentIds?.length) return;
 
-  const current = await hubspotRequest('GET', `/crm/v3/objects/notes/${noteId}`, null, {
-    properties: 'hs_attachment_ids',
-  }).catch(() => null);
+  const current = await hubspotRequest('GET', `/crm/v3/objects/notes/${noteId}?properties=hs_attachment_ids`);
 
   const existing = (current?.properties?.hs_attachment_ids || '').split(';').map(s => s.trim()).filter(Boolean);
   const merged = Array.from(new Set([...existing, ...attachmentIds.map(String)])).filter(Boolean);
@@ -910,18 +3566,33 @@ async function hsAppendAttachmentsToNote(noteId, attachmentIds) {
   });
 }
 
-async function slackDownloadFileToBuffer(client, fileId) {
+const SLACK_FILE_DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+async function slackDownloadFileToBuffer(client, fileId, { maxBytes } = {}) {
   const info = await client.files.info({ file: fileId });
   const f = info?.file;
   if (!f) throw new Error('Slack file not found');
 
+  if (maxBytes && f.size > maxBytes) {
+    const err = new Error(
+      `File is ${(f.size / 1024 / 1024).toFixed(1)}MB (limit ${(maxBytes / 1024 / 1024).toFixed(0)}MB)`
+    );
+    err.slackFileName = f.name;
+    throw err;
+  }
+
   const url = f.url_private_download || f.url_private;
   if (!url) throw new Error('Slack file missing download URL');
 
+  // The signal also covers reading the body, so a stalled download can't hang the caller
   const res = await fetch(url, {
     headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` },
+    signal: AbortSignal.timeout(SLACK_FILE_DOWNLOAD_TIMEOUT_MS),
   });
-  if (!res.ok) throw new Error(`Failed to download Slack file (${res.status})`);
+  if (!res.ok) {
+    res.body?.cancel().catch(() => {});
+    throw new Error(`Failed to download Slack file (${res.status})`);
+  }
   const ab = await res.arrayBuffer();
   return {
     filename: f.name || `file_${fileId}`,
@@ -930,6 +3601,219 @@ async function slackDownloadFileToBuffer(client, fileId) {
   };
 }
 
+// ==============================
+// SLACK → HUBSPOT FILE TRANSFER PIPELINE
+// Validates size/MIME from files.info, then streams Slack's download straight into the
+// HubSpot upload (no full in-memory copy), a few files at a time, retrying transient failures.
+// ==============================
+const HUBNOTE_MAX_FILE_BYTES = Number(process.env.HUBNOTE_MAX_FILE_MB || 50) * 1024 * 1024;
+const HUBNOTE_UPLOAD_CONCURRENCY = Math.max(1, Number(process.env.HUBNOTE_UPLOAD_CONCURRENCY || 3));
+const HUBNOTE_UPLOAD_ATTEMPTS = 3;
+// Per attempt: covers the Slack download and the HubSpot upload it streams into
+const HUBNOTE_TRANSFER_TIMEOUT_MS = 2 * 60 * 1000;
+
+// "image/*,application/pdf" style patterns; "*" allows everything
+const HUBNOTE_ALLOWED_MIME_TYPES = (
+  process.env.HUBNOTE_ALLOWED_MIME_TYPES ||
+  [
+    "image/*",
+    "text/*",
+    "application/pdf",
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.*",
+    "application/vnd.ms-excel",
+    "application/vnd.ms-powerpoint",
+    "application/zip",
+    "audio/*",
+    "video/*",
+  ].join(",")
+)
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+function isMimeTypeAllowed(mimeType) {
+  const mt = String(mimeType || "").toLowerCase();
+  return HUBNOTE_ALLOWED_MIME_TYPES.some(
+    (p) => p === "*" || p === mt || (p.endsWith("*") && mt.startsWith(p.slice(0, -1)))
+  );
+}
+
+function formatMb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+// Network errors, 408/429 and 5xx are worth another try; anything else fails fast
+function isRetryableTransferError(e) {
+  if (e?.permanent || e?.cause?.permanent) return false;
+  const status = e?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+async function withRetry(fn, { attempts = HUBNOTE_UPLOAD_ATTEMPTS, isRetryable = isRetryableTransferError } = {}) {
+  let lastErr;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      lastErr = e;
+      if (attempt === attempts || !isRetryable(e)) break;
+      await new Promise((r) => setTimeout(r, 500 * 2 ** (attempt - 1)));
+    }
+  }
+  throw lastErr;
+}
+
+// Run `worker` over `items` with at most `limit` in flight; results keep input order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+function hsFilesFolderField() {
+  // HubSpot Files API requires either folderId or folderPath
+  const folderId = process.env.HUBSPOT_FILES_FOLDER_ID;
+  const folderPath = process.env.HUBSPOT_FILES_FOLDER_PATH;
+  return folderId ? ["folderId", String(folderId)] : ["folderPath", folderPath || "/Syllabot Uploads"];
+}
+
+// Streams `source` (async iterable of chunks) into a multipart upload; aborts past maxBytes
+async function hsUploadFileFromStream({ filename, mimeType, source, maxBytes, signal }) {
+  if (!HUBSPOT_PRIVATE_APP_TOKEN) throw new Error("Missing HUBSPOT_PRIVATE_APP_TOKEN");
+
+  const boundary = `----syllabot${crypto.randomBytes(12).toString("hex")}`;
+  const safeName = String(filename).replace(/["\r\n]/g, "_");
+  const fields = [
+    ["fileName", safeName],
+    ["options", JSON.stringify({ access: "PRIVATE", overwrite: false })],
+    hsFilesFolderField(),
+  ];
+
+  async function* multipart() {
+    for (const [name, value] of fields) {
+      yield Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+    }
+    yield Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safeName}"\r\n` +
+        `Content-Type: ${mimeType || "application/octet-stream"}\r\n\r\n`
+    );
+    let seen = 0;
+    for await (const chunk of source) {
+      seen += chunk.length;
+      if (maxBytes && seen > maxBytes) {
+        const err = new Error(`File is larger than ${formatMb(maxBytes)}`);
+        err.permanent = true;
+        throw err;
+      }
+      yield chunk;
+    }
+    yield Buffer.from(`\r\n--${boundary}--\r\n`);
+  }
+
+  const res = await fetch("https://api.hubapi.com/files/v3/files", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${HUBSPOT_PRIVATE_APP_TOKEN}`,
+      "Content-Type": `multipart/form-data; boundary=${boundary}`,
+    },
+    body: multipart(),
+    duplex: "half",
+    signal,
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data?.message || data?.error || `HubSpot file upload failed (${res.status})`);
+    err.status = res.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+// One file: check metadata, then stream Slack → HubSpot (re-downloading on each retry)
+async function transferSlackFileToHubspot(client, fileId) {
+  const info = await client.files.info({ file: fileId });
+  const f = info?.file;
+  if (!f) throw Object.assign(new Error("Slack file not found"), { permanent: true });
+
+  const name = f.name || `file_${fileId}`;
+  const mimeType = f.mimetype || "application/octet-stream";
+
+  if (f.size > HUBNOTE_MAX_FILE_BYTES) {
+    return { name, ok: false, skipped: true, error: `${formatMb(f.size)} is over the ${formatMb(HUBNOTE_MAX_FILE_BYTES)} limit` };
+  }
+  if (!isMimeTypeAllowed(mimeType)) {
+    return { name, ok: false, skipped: true, error: `file type ${mimeType} isn’t allowed` };
+  }
+
+  const url = f.url_private_download || f.url_private;
+  if (!url) throw Object.assign(new Error("Slack file missing download URL"), { permanent: true, slackFileName: name });
+
+  try {
+    const hsFile = await withRetry(async () => {
+      const signal = AbortSignal.timeout(HUBNOTE_TRANSFER_TIMEOUT_MS);
+      const download = new AbortController();
+      const res = await fetch(url, {
+        headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` },
+        signal: AbortSignal.any([signal, download.signal]),
+      });
+      try {
+        if (!res.ok || !res.body) {
+          throw Object.assign(new Error(`Failed to download Slack file (${res.status})`), { status: res.status });
+        }
+        return await hsUploadFileFromStream({ filename: name, mimeType, source: res.body, maxBytes: HUBNOTE_MAX_FILE_BYTES, signal });
+      } catch (e) {
+        // Release the Slack connection before retrying or giving up. cancel() rejects while the
+        // upload still holds the stream's reader, so abort the download as well.
+        await res.body?.cancel().catch(() => {});
+        download.abort();
+        throw e;
+      }
+    });
+    if (!hsFile?.id) throw new Error("HubSpot returned no file id");
+    return { name, ok: true, hubspotFileId: String(hsFile.id) };
+  } catch (e) {
+    e.slackFileName = name;
+    throw e;
+  }
+}
+
+/**
+ * Transfer Slack files into HubSpot Files.
+ * Never throws for a single file: returns { results: [{ name, ok, skipped?, error?, hubspotFileId? }], uploadedIds }.
+ */
+async function transferSlackFilesToHubspot(client, fileIds, logger) {
+  const results = await mapWithConcurrency(fileIds || [], HUBNOTE_UPLOAD_CONCURRENCY, async (fid) => {
+    try {
+      return await transferSlackFileToHubspot(client, fid);
+    } catch (e) {
+      logger?.error?.("[hubspot file transfer] failed:", fid, e?.message || e);
+      return { name: e?.slackFileName || fid, ok: false, error: String(e?.message || e).slice(0, 200) };
+    }
+  });
+  return { results, uploadedIds: results.filter((r) => r.ok).map((r) => r.hubspotFileId) };
+}
+
+function formatHubspotFileTransferReport(results) {
+  if (!results.length) return "";
+  const ok = results.filter((r) => r.ok).length;
+  return (
+    `📎 Files: ${ok}/${results.length} attached\n` +
+    results
+      .map((r) => (r.ok ? `• ✅ ${r.name}` : `• ${r.skipped ? "⏭️" : "❌"} ${r.name} — ${r.error}`))
+      .join("\n")
+  );
+}
+
 function extractSlackFileIdsFromView(view) {
   const values = view?.state?.values || {};
   for (const blockId of Object.keys(values)) {
@@ -950,7 +3834,7 @@ function extractSlackFileIdsFromView(view) {
 const HS_CACHE_MS = 10 * 60 * 1000; // 10 min
 const hsCache = {
   pipelines: new Map(), // key: "ticket"|"deal" -> { at, pipelines:[{id,label,stages:[{id,label}]}] }
-  assocTypeId: new Map(), // key: "tickets"|"deals" -> { at, id }
+  assocTypeId: new Map(), // key: "tickets"|"deals"|"contacts"|"companies" -> { at, id }
 };
 
 const HS_TICKET_STAGE_PROP = "hs_pipeline_stage";
@@ -958,8 +3842,24 @@ const HS_DEAL_STAGE_PROP = "dealstage";
 const HS_PIPELINE_PROP_DEAL = "pipeline";
 const HS_PIPELINE_PROP_TICKET = "hs_pipeline";
 
+const HS_OBJECT_TYPE_PLURAL = {
+  ticket: "tickets",
+  deal: "deals",
+  contact: "contacts",
+  company: "companies",
+};
+
+// Accepts "deal", "deals", "Company", ... → "ticket"|"deal"|"contact"|"company" (default "ticket")
+function normalizeHubspotRecordType(value) {
+  const v = String(value || "").trim().toLowerCase();
+  for (const [singular, plural] of Object.entries(HS_OBJECT_TYPE_PLURAL)) {
+    if (v === singular || v === plural) return singular;
+  }
+  return "ticket";
+}
+
 function hsApiObjectType(recordType) {
-  return recordType === "deal" ? "deals" : "tickets";
+  return HS_OBJECT_TYPE_PLURAL[normalizeHubspotRecordType(recordType)];
 }
 
 async function hsGetPipelines(recordType) {
@@ -986,7 +3886,118 @@ async function hsGetPipelines(recordType) {
   return pipelines;
 }
 
-async function hsSearchRecords({ recordType, pipelineId, stageId, query }) {
+// Contacts/companies: free-text search (HubSpot matches name, email, domain, ...)
+async function hsSearchPeopleOrCompanies({ recordType, query }) {
+  const objectType = hsApiObjectType(recordType);
+  const isContact = recordType === "contact";
+
+  const body = {
+    properties: isContact ? ["firstname", "lastname", "email"] : ["name", "domain"],
+    sorts: [{ propertyName: isContact ? "lastmodifieddate" : "hs_lastmodifieddate", direction: "DESCENDING" }],
+    limit: 50,
+  };
+
+  const q = (query || "").trim();
+  if (q) body.query = q;
+
+  const data = await hubspotRequest("POST", `/crm/v3/objects/${objectType}/search`, body);
+
+  return (data?.results || []).map((r) => {
+    const id = String(r.id);
+    const p = r.properties || {};
+    if (isContact) {
+      const name = [p.firstname, p.lastname].filter(Boolean).join(" ");
+      const label = name && p.email ? `${name} (${p.email})` : name || p.email || `Contact ${id}`;
+      return { id, label };
+    }
+    return { id, label: p.domain ? `${p.name || `Company ${id}`} (${p.domain})` : p.name || `Company ${id}` };
+  });
+}
+
+// Current pipeline/stage of a ticket or deal → { pipelineId, stageId, pipelineLabel, stageLabel }
+async function hsGetRecordStage(recordType, recordId) {
+  const stageProp = recordType === "deal" ? HS_DEAL_STAGE_PROP : HS_TICKET_STAGE_PROP;
+  const pipelineProp = recordType === "deal" ? HS_PIPELINE_PROP_DEAL : HS_PIPELINE_PROP_TICKET;
+
+  const [record, pipelines] = await Promise.all([
+    hubspotRequest("GET", `/crm/v3/objects/${hsApiObjectType(recordType)}/${recordId}?properties=${pipelineProp},${stageProp}`),
+    hsGetPipelines(recordType),
+  ]);
+
+  const pipelineId = String(record?.properties?.[pipelineProp] || "");
+  const stageId = String(record?.properties?.[stageProp] || "");
+  const pipeline = (pipelines || []).find((p) => p.id === pipelineId);
+  return {
+    pipelineId,
+    stageId,
+    pipelineLabel: pipeline?.label || pipelineId,
+    stageLabel: pipeline?.stages?.find((st) => st.id === stageId)?.label || stageId,
+  };
+}
+
+// PATCH a ticket/deal into pipelineId/stageId; returns { from, to } (each from hsGetRecordStage)
+// Moving into another pipeline has to be asked for explicitly (allowPipelineChange)
+async function hsMoveRecordToStage({ recordType, recordId, pipelineId, stageId, allowPipelineChange = false }) {
+  const stageProp = recordType === "deal" ? HS_DEAL_STAGE_PROP : HS_TICKET_STAGE_PROP;
+  const pipelineProp = recordType === "deal" ? HS_PIPELINE_PROP_DEAL : HS_PIPELINE_PROP_TICKET;
+
+  const from = await hsGetRecordStage(recordType, recordId);
+  const properties = { [stageProp]: String(stageId) };
+  if (pipelineId && pipelineId !== from.pipelineId) {
+    if (!allowPipelineChange) {
+      const err = new Error(`Stage ${stageId} is not in the record's pipeline ${from.pipelineId}`);
+      err.code = "PIPELINE_MISMATCH";
+      throw err;
+    }
+    properties[pipelineProp] = String(pipelineId);
+  }
+
+  await hubspotRequest("PATCH", `/crm/v3/objects/${hsApiObjectType(recordType)}/${recordId}`, { properties });
+
+  const pipeline = (await hsGetPipelines(recordType) || []).find((p) => p.id === String(pipelineId || from.pipelineId));
+  return {
+    from,
+    to: {
+      pipelineId: pipeline?.id || from.pipelineId,
+      stageId: String(stageId),
+      pipelineLabel: pipeline?.label || from.pipelineLabel,
+      stageLabel: pipeline?.stages?.find((st) => st.id === String(stageId))?.label || String(stageId),
+    },
+  };
+}
+
+// Company-name matches → tickets/deals associated with those companies
+const HS_COMPANY_MATCH_LIMIT = 5; // HubSpot allows at most 5 filterGroups per search
+
+async function hsSearchByCompanyName({ objectType, query, scopeFilters, properties }) {
+  const companies = await hubspotRequest("POST", "/crm/v3/objects/companies/search", {
+    query,
+    properties: ["name"],
+    limit: HS_COMPANY_MATCH_LIMIT,
+  });
+  const companyIds = (companies?.results || []).map((c) => String(c.id));
+  if (!companyIds.length) return { results: [] };
+
+  return hubspotRequest("POST", `/crm/v3/objects/${objectType}/search`, {
+    filterGroups: companyIds.map((id) => ({
+      filters: [{ propertyName: "associations.company", operator: "EQ", value: id }, ...scopeFilters],
+    })),
+    properties,
+    limit: 50,
+  });
+}
+
+/**
+ * Search tickets/deals (or contacts/companies). Pipeline and stage are optional filters:
+ * without them we search every pipeline by name, record ID and associated company name.
+ * Returns [{ id, label, name, pipelineId, stageId }] with "Pipeline › Stage" in the label.
+ * `extended: false` skips the ID/company lookups (used when searching every record type at once).
+ */
+async function hsSearchRecords({ recordType, pipelineId, stageId, query, extended = true }) {
+  if (!hsRecordTypeHasPipelines(recordType)) {
+    return hsSearchPeopleOrCompanies({ recordType, query });
+  }
+
   const objectType = hsApiObjectType(recordType);
 
   const stageProp =
@@ -995,43 +4006,70 @@ async function hsSearchRecords({ recordType, pipelineId, stageId, query }) {
   const pipelineProp =
     recordType === "deal" ? HS_PIPELINE_PROP_DEAL : HS_PIPELINE_PROP_TICKET;
 
-  const properties =
-    recordType === "deal"
-      ? ["dealname", pipelineProp, stageProp]
-      : ["subject", pipelineProp, stageProp];
+  const nameProp = recordType === "deal" ? "dealname" : "subject";
+  const properties = [nameProp, pipelineProp, stageProp];
+
+  const scopeFilters = [];
+  if (pipelineId) scopeFilters.push({ propertyName: pipelineProp, operator: "EQ", value: String(pipelineId) });
+  if (stageId) scopeFilters.push({ propertyName: stageProp, operator: "EQ", value: String(stageId) });
 
   const body = {
-    filterGroups: [
-      {
-        filters: [
-          { propertyName: pipelineProp, operator: "EQ", value: String(pipelineId) },
-          { propertyName: stageProp, operator: "EQ", value: String(stageId) },
-        ],
-      },
-    ],
+    filterGroups: scopeFilters.length ? [{ filters: scopeFilters }] : [],
     properties,
+    sorts: [{ propertyName: "hs_lastmodifieddate", direction: "DESCENDING" }],
     limit: 50,
   };
 
   const q = (query || "").trim();
   if (q) body.query = q;
 
-  const data = await hubspotRequest(
-    "POST",
-    `/crm/v3/objects/${objectType}/search`,
-    body
-  );
+  const searches = [hubspotRequest("POST", `/crm/v3/objects/${objectType}/search`, body)];
 
-  const results = data?.results || [];
-  return results.map((r) => {
+  // Extra lookups are best-effort: a failure there shouldn't hide the name matches
+  if (extended && /^\d+$/.test(q)) {
+    searches.unshift(
+      hubspotRequest("POST", `/crm/v3/objects/${objectType}/search`, {
+        filterGroups: [
+          { filters: [{ propertyName: "hs_object_id", operator: "EQ", value: q }, ...scopeFilters] },
+        ],
+        properties,
+        limit: 1,
+      }).catch(() => ({ results: [] }))
+    );
+  }
+  if (extended && q.length >= 2) {
+    searches.push(
+      hsSearchByCompanyName({ objectType, query: q, scopeFilters, properties }).catch(() => ({ results: [] }))
+    );
+  }
+
+  const [pipelines, ...responses] = await Promise.all([
+    hsGetPipelines(recordType).catch(() => []),
+    ...searches,
+  ]);
+
+  const seen = new Set();
+  const records = [];
+  for (const r of responses.flatMap((d) => d?.results || [])) {
     const id = String(r.id);
+    if (seen.has(id)) continue;
+    seen.add(id);
+
     const props = r.properties || {};
-    const label =
-      recordType === "deal"
-        ? props.dealname || `Deal ${id}`
-        : props.subject || `Ticket ${id}`;
-    return { id, label };
-  });
+    const name = props[nameProp] || `${recordType === "deal" ? "Deal" : "Ticket"} ${id}`;
+    const pipeline = (pipelines || []).find((p) => p.id === String(props[pipelineProp] || ""));
+    const stage = pipeline?.stages?.find((st) => st.id === String(props[stageProp] || ""));
+    const where = [pipeline?.label, stage?.label].filter(Boolean).join(" › ");
+
+    records.push({
+      id,
+      name,
+      label: where ? `${name.slice(0, 40)} · ${where}` : name,
+      pipelineId: pipeline?.id || "",
+      stageId: stage?.id || "",
+    });
+  }
+  return records;
 }
 
 async function hsGetNoteAssociationTypeId(toObjectTypePlural) {
@@ -1057,45 +4095,319 @@ async function hsGetNoteAssociationTypeId(toObjectTypePlural) {
   return Number(id);
 }
 
+// ==============================
+// SLACK MRKDWN / RICH_TEXT → HUBSPOT NOTE HTML
+// Everything user-supplied is escaped; only the tags below are ever emitted,
+// and links are limited to http(s)/mailto.
+// ==============================
+const SLACK_USER_MENTION_RE = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g;
+
+function safeHref(url) {
+  const u = String(url || "").trim();
+  return /^(https?:|mailto:)/i.test(u) ? escapeHtml(u) : "";
+}
+
+// Text straight from Slack's API arrives with these three entities escaped
+function decodeSlackEntities(str) {
+  return String(str ?? "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+function htmlLink(url, label) {
+  const href = safeHref(url);
+  const text = escapeHtml(label || url);
+  return href ? `<a href="${href}" target="_blank" rel="noopener noreferrer">${text}</a>` : text;
+}
+
+// Inline mrkdwn for one line: <...> entities, `code`, *bold*, _italic_, ~strike~, bare URLs
+function slackInlineMrkdwnToHtml(line, userNames) {
+  const tokens = [];
+  const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let s = String(line)
+    .replace(/`([^`\n]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(/<([^>\n]+)>/g, (whole, inner) => {
+      const [target, label] = inner.split("|").map(decodeSlackEntities);
+      if (target.startsWith("@")) {
+        const id = target.slice(1);
+        return hold(escapeHtml(`@${userNames.get(id) || label || id}`));
+      }
+      if (target.startsWith("#")) return hold(escapeHtml(`#${label || target.slice(1)}`));
+      if (target.startsWith("!subteam^")) return hold(escapeHtml(label || "@group"));
+      if (target.startsWith("!date^")) return hold(escapeHtml(label || ""));
+      if (target.startsWith("!")) return hold(escapeHtml(`@${target.slice(1)}`));
+      if (/^(https?:|mailto:)/i.test(target)) {
+        return hold(htmlLink(target, label || target.replace(/^mailto:/i, "")));
+      }
+      return whole;
+    })
+    .replace(/&(?:lt|gt|amp);/g, decodeSlackEntities)
+    .replace(/\bhttps?:\/\/[^\s<>\u0000]+/g, (url) => {
+      const trimmed = url.replace(/[.,;:!?)\]]+$/, "");
+      return hold(htmlLink(trimmed)) + url.slice(trimmed.length);
+    });
+
+  s = escapeHtml(s)
+    .replace(/(^|[\s(])\*(?=\S)([^*\n]*?\S)\*(?=$|[\s).,;:!?])/g, "$1<strong>$2</strong>")
+    .replace(/(^|[\s(])_(?=\S)([^_\n]*?\S)_(?=$|[\s).,;:!?])/g, "$1<em>$2</em>")
+    .replace(/(^|[\s(])~(?=\S)([^~\n]*?\S)~(?=$|[\s).,;:!?])/g, "$1<s>$2</s>");
+
+  return s.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[Number(i)]);
+}
+
+/**
+ * Convert Slack mrkdwn (as typed in a modal or sent by Zapier) to HubSpot note HTML:
+ * ``` blocks, > quotes, •/-/* and 1. lists, inline formatting, links and mentions.
+ */
+function slackMrkdwnToHubspotHtml(text, userNames = new Map()) {
+  const src = String(text ?? "").replace(/\u0000/g, "").replace(/\r\n?/g, "\n");
+  const parts = src.split(/```/);
+  const out = []; // { html, block } — only runs of plain lines are joined with <br/>
+
+  parts.forEach((part, idx) => {
+    // Odd segments sit between ``` fences
+    if (idx % 2 === 1 && idx < parts.length - 1) {
+      out.push({ html: `<pre><code>${escapeHtml(part.replace(/^\n|\n$/g, ""))}</code></pre>`, block: true });
+      return;
+    }
+    const chunk = (idx % 2 === 1 ? "```" + part : part)
+      .replace(idx > 0 ? /^\n/ : /^$/, "")
+      .replace(idx < parts.length - 1 ? /\n$/ : /^$/, "");
+    if (!chunk) return;
+
+    let list = null; // { tag, items }
+    let quote = [];
+    let lines = [];
+    const flushLines = () => {
+      if (lines.length) out.push({ html: lines.join("<br/>"), block: false });
+      lines = [];
+    };
+    const flushList = () => {
+      if (list) {
+        out.push({ html: `<${list.tag}>${list.items.map((i) => `<li>${i}</li>`).join("")}</${list.tag}>`, block: true });
+      }
+      list = null;
+    };
+    const flushQuote = () => {
+      if (quote.length) out.push({ html: `<blockquote>${quote.join("<br/>")}</blockquote>`, block: true });
+      quote = [];
+    };
+
+    for (const line of chunk.split("\n")) {
+      const bullet = line.match(/^\s*[•◦▪\-*]\s+(.*)$/);
+      const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+      const quoted = line.match(/^\s*(?:>|&gt;)\s?(.*)$/);
+
+      if (bullet || ordered) {
+        const tag = bullet ? "ul" : "ol";
+        flushLines();
+        flushQuote();
+        if (list && list.tag !== tag) flushList();
+        if (!list) list = { tag, items: [] };
+        list.items.push(slackInlineMrkdwnToHtml((bullet || ordered)[1], userNames));
+      } else if (quoted) {
+        flushLines();
+        flushList();
+        quote.push(slackInlineMrkdwnToHtml(quoted[1], userNames));
+      } else {
+        flushList();
+        flushQuote();
+        lines.push(slackInlineMrkdwnToHtml(line, userNames));
+      }
+    }
+    flushLines();
+    flushList();
+    flushQuote();
+  });
+
+  return out
+    .map((o, i) => (i > 0 && !o.block && !out[i - 1].block ? "<br/>" : "") + o.html)
+    .join("");
+}
+
+function richTextInlineToHtml(el, userNames) {
+  switch (el?.type) {
+    case "text": {
+      let html = escapeHtml(el.text || "").replace(/\n/g, "<br/>");
+      const st = el.style || {};
+      if (st.code) html = `<code>${html}</code>`;
+      if (st.bold) html = `<strong>${html}</strong>`;
+      if (st.italic) html = `<em>${html}</em>`;
+      if (st.strike) html = `<s>${html}</s>`;
+      return html;
+    }
+    case "link":
+      return htmlLink(el.url, el.text || el.url);
+    case "user":
+      return escapeHtml(`@${userNames.get(el.user_id) || el.user_id}`);
+    case "usergroup":
+      return escapeHtml(`@${el.usergroup_id}`);
+    case "channel":
+      return escapeHtml(`#${el.channel_id}`);
+    case "broadcast":
+      return escapeHtml(`@${el.range}`);
+    case "emoji":
+      // Only real emoji code points; "3c-69-6d-67…" would otherwise spell out raw HTML
+      if (/^[0-9a-f]{4,6}(-[0-9a-f]{4,6})*$/i.test(String(el.unicode || ""))) {
+        try {
+          return escapeHtml(String.fromCodePoint(...el.unicode.split("-").map((h) => parseInt(h, 16))));
+        } catch (_) {}
+      }
+      return escapeHtml(`:${el.name}:`);
+    default:
+      return "";
+  }
+}
+
+/**
+ * Convert Slack rich_text blocks (e.g. from a message or rich_text_input) to HubSpot note HTML.
+ * Consecutive lists with a deeper `indent` are nested inside the previous item.
+ */
+function slackRichTextToHubspotHtml(blocks, userNames = new Map()) {
+  const out = [];
+  const inline = (els) => (els || []).map((e) => richTextInlineToHtml(e, userNames)).join("");
+
+  for (const block of blocks || []) {
+    if (block?.type !== "rich_text") continue;
+
+    let listStack = []; // [{ tag, indent, items: [] }]
+    const closeTo = (indent) => {
+      while (listStack.length && listStack[listStack.length - 1].indent > indent) {
+        const done = listStack.pop();
+        const html = `<${done.tag}>${done.items.map((i) => `<li>${i}</li>`).join("")}</${done.tag}>`;
+        if (listStack.length) {
+          const parent = listStack[listStack.length - 1];
+          parent.items[parent.items.length - 1] += html;
+        } else {
+          out.push(html);
+        }
+      }
+    };
+
+    for (const el of block.elements || []) {
+      if (el.type === "rich_text_list") {
+        const indent = Number(el.indent || 0);
+        const tag = el.style === "ordered" ? "ol" : "ul";
+        closeTo(indent);
+        const top = listStack[listStack.length - 1];
+        if (top && top.indent === indent && top.tag !== tag) closeTo(indent - 1);
+        if (!listStack.length || listStack[listStack.length - 1].indent < indent) {
+          listStack.push({ tag, indent, items: [] });
+        }
+        const list = listStack[listStack.length - 1];
+        for (const item of el.elements || []) list.items.push(inline(item.elements));
+        continue;
+      }
+
+      closeTo(-1);
+      listStack = [];
+      if (el.type === "rich_text_section") out.push(inline(el.elements));
+      else if (el.type === "rich_text_preformatted") {
+        out.push(`<pre><code>${(el.elements || []).map((e) => escapeHtml(e.text ?? e.url ?? "")).join("")}</code></pre>`);
+      } else if (el.type === "rich_text_quote") out.push(`<blockquote>${inline(el.elements)}</blockquote>`);
+    }
+    closeTo(-1);
+  }
+
+  return out.join("");
+}
+
+function collectRichTextUserIds(node, ids = []) {
+  if (Array.isArray(node)) node.forEach((n) => collectRichTextUserIds(n, ids));
+  else if (node && typeof node === "object") {
+    if (node.type === "user" && node.user_id) ids.push(node.user_id);
+    if (node.elements) collectRichTextUserIds(node.elements, ids);
+  }
+  return ids;
+}
+
+/**
+ * Note body → HubSpot HTML, resolving <@U123> / rich_text user mentions to display names.
+ * Pass `blocks` (rich_text) when you have them; otherwise `text` is treated as mrkdwn.
+ */
+async function slackToHubspotNoteHtml({ text, blocks }) {
+  const hasRichText = Array.isArray(blocks) && blocks.some((b) => b?.type === "rich_text");
+  const userIds = hasRichText
+    ? collectRichTextUserIds(blocks)
+    : Array.from(String(text || "").matchAll(SLACK_USER_MENTION_RE), (m) => m[1]);
+
+  const userNames = userIds.length ? await slackResolveUserNames(app.client, userIds) : new Map();
+
+  return hasRichText
+    ? slackRichTextToHubspotHtml(blocks, userNames)
+    : slackMrkdwnToHubspotHtml(text, userNames);
+}
+
+// "deal:123" / { type, id } / { hubspot_object_type, hubspot_object_id } → { type, id } (null if unusable)
+// Unlike the primary record type, a target's type is never defaulted: "tiket:123" must not
+// quietly attach the note to ticket 123. Unknown types (or missing ids) come back as null.
+function normalizeHubspotTarget(target) {
+  if (!target) return null;
+  const [rawType, rawId] =
+    typeof target === "string"
+      ? target.split(":")
+      : [target.type ?? target.hubspot_object_type, target.id ?? target.hubspot_object_id];
+  const id = String(rawId ?? "").trim();
+  const t = String(rawType || "").trim().toLowerCase();
+  const type = Object.keys(HS_OBJECT_TYPE_PLURAL).find((k) => t === k || t === HS_OBJECT_TYPE_PLURAL[k]);
+  return id && type ? { type, id } : null;
+}
+
 async function hsCreateNoteAndAssociate({
-  hubspot_object_type, // "ticket"|"deal"
+  hubspot_object_type, // "ticket"|"deal"|"contact"|"company"
   hubspot_object_id,
+  targets = [], // extra records to associate: [{ type, id }] (or "type:id" strings)
   note_title,
-  note_body,
+  note_body, // Slack mrkdwn
+  note_body_blocks, // optional Slack rich_text blocks (preferred over note_body when present)
 }) {
-  const toPlural = hubspot_object_type === "deal" ? "deals" : "tickets";
-  const assocTypeId = await hsGetNoteAssociationTypeId(toPlural);
+  const seen = new Set();
+  const rejected_targets = targets.filter((t) => !normalizeHubspotTarget(t));
+  const allTargets = [{ type: hubspot_object_type, id: hubspot_object_id }, ...targets]
+    .map(normalizeHubspotTarget)
+    .filter((t) => {
+      if (!t) return false;
+      const key = `${t.type}:${t.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  if (!allTargets.length) throw new Error("No HubSpot record to associate the note with");
+
+  const associations = await Promise.all(
+    allTargets.map(async (t) => ({
+      to: { id: t.id },
+      types: [
+        {
+          associationCategory: "HUBSPOT_DEFINED",
+          associationTypeId: await hsGetNoteAssociationTypeId(hsApiObjectType(t.type)),
+        },
+      ],
+    }))
+  );
 
-  const combinedBody = `<b>${escapeHtml(note_title || 'Note')}</b><br/>${escapeHtml(note_body || '').replace(/\n/g, '<br/>')}`;
+  const bodyHtml = await slackToHubspotNoteHtml({ text: note_body || '', blocks: note_body_blocks });
+  const combinedBody = `<b>${escapeHtml(note_title || 'Note')}</b><br/>${bodyHtml}`;
 
   const createBody = {
     properties: {
       // HubSpot "notes" require both a body and a timestamp.
       // hs_timestamp is a datetime property; HubSpot accepts milliseconds since epoch.
       hs_timestamp: String(Date.now()),
-      hs_note_body: combinedBody,
-    },
-    associations: [
-      {
-        to: { id: String(hubspot_object_id) },
-        types: [
-          {
-            associationCategory: "HUBSPOT_DEFINED",
-            associationTypeId: assocTypeId,
-          },
-        ],
-      },
-    ],
+      hs_note_body: combinedBody,
+    },
+    associations,
   };
 
   const created = await hubspotRequest("POST", "/crm/v3/objects/notes", createBody);
   const noteId = created?.id;
   if (!noteId) throw new Error("HubSpot note creation failed (no id returned)");
 
-    return {
+  return {
     hubspot_note_id: String(noteId),
-    hubspot_object_type,
-    hubspot_object_id: String(hubspot_object_id),
+    hubspot_object_type: allTargets[0].type,
+    hubspot_object_id: allTargets[0].id,
+    targets: allTargets,
+    rejected_targets,
   };
 }
 
@@ -1116,6 +4428,24 @@ async function hsUpdateNoteBody(noteId, hs_note_body) {
     properties: { hs_note_body },
   });
 }
+
+// Appends the rest of a thread transcript below the note body. Returns false if HubSpot's size cap cut it short.
+async function hsAppendThreadTranscriptToNote(noteId, transcript) {
+  const current = await hsGetNoteBody(noteId);
+  const heading = "<br/><br/><b>Slack thread transcript (continued)</b><br/>";
+  const room = HUBSPOT_NOTE_BODY_MAX_CHARS - current.length - heading.length;
+  let html = escapeHtml(transcript).replace(/\n/g, "<br/>");
+  const complete = html.length <= room;
+  if (!complete) {
+    const suffix = "<br/>… (transcript truncated)";
+    html = html
+      .slice(0, Math.max(0, room - suffix.length))
+      .replace(/<[^>]*$/, "")
+      .replace(/&[^;]*$/, "") + suffix;
+  }
+  await hsUpdateNoteBody(noteId, current + heading + html);
+  return complete;
+}
 // ==============================
 // /api/hubnote/create  (Zap Step 2 target)
 // ==============================
@@ -1128,10 +4458,13 @@ async function hsUpdateNoteBody(noteId, hs_note_body) {
 //
 // Body fields expected (from your Step 1 catch hook):
 //  - correlation_id
-//  - hubspot_object_type  ("ticket"|"deal")
+//  - hubspot_object_type  ("ticket"|"deal"|"contact"|"company")
 //  - hubspot_object_id
+//  - targets  (optional) array of { hubspot_object_type, hubspot_object_id } (or "deal:123" strings);
+//             the note is created once and associated with every target (hubspot_object_id may then be omitted)
 //  - note_title
 //  - note_body
+//  - note_body_blocks  (optional) Slack rich_text blocks
 //  - submitted_by_slack_user_id
 //  - submitted_at
 //  - origin_channel_id
@@ -1158,29 +4491,35 @@ receiver.app.post("/api/hubnote/create", express.json(), async (req, res) => {
     });
 
     const correlation_id = String(body.correlation_id || hubnoteMakeId("hubnote"));
-    const hubspot_object_type =
-      body.hubspot_object_type === "deal" ? "deal" : "ticket";
+    const hubspot_object_type = normalizeHubspotRecordType(body.hubspot_object_type);
 
+    const targets = Array.isArray(body.targets) ? body.targets : [];
+    const validTargetCount = targets.filter((t) => normalizeHubspotTarget(t)).length;
     const hubspot_object_id = String(body.hubspot_object_id || "").trim();
     const note_title = String(body.note_title || "").trim();
     const note_body = String(body.note_body || "").trim();
+    // Zaps forwarding a Slack message can send its rich_text blocks instead of (or with) note_body
+    const note_body_blocks = Array.isArray(body.note_body_blocks) ? body.note_body_blocks : undefined;
 
     const origin_channel_id = String(body.origin_channel_id || "").trim();
     const origin_user_id = String(body.origin_user_id || "").trim();
 
-    if (!hubspot_object_id || !origin_channel_id || !origin_user_id) {
+    if ((!hubspot_object_id && !validTargetCount) || !origin_channel_id || !origin_user_id) {
       return res.status(400).json({
         ok: false,
         error: "missing_required_fields",
-        details: "hubspot_object_id, origin_channel_id, origin_user_id required",
+        details: "hubspot_object_id (or targets), origin_channel_id, origin_user_id required",
+        rejected_targets: targets.filter((t) => !normalizeHubspotTarget(t)),
       });
     }
 
     const created = await hsCreateNoteAndAssociate({
       hubspot_object_type,
       hubspot_object_id,
+      targets,
       note_title,
       note_body,
+      note_body_blocks,
     });
 
     // Return what Zap Step 3 needs to call /zapier/hubnote/callback
@@ -1189,8 +4528,11 @@ receiver.app.post("/api/hubnote/create", express.json(), async (req, res) => {
       status: "success",
       correlation_id,
       hubspot_note_id: created.hubspot_note_id,
-      hubspot_object_type,
-      hubspot_object_id,
+      hubspot_object_type: created.hubspot_object_type,
+      hubspot_object_id: created.hubspot_object_id,
+      targets: created.targets.map((t) => ({ hubspot_object_type: t.type, hubspot_object_id: t.id })),
+      // Targets with an unknown record type (or no id) that were left off the note
+      rejected_targets: created.rejected_targets,
       origin_channel_id,
       origin_user_id,
     });
@@ -1205,6 +4547,283 @@ receiver.app.post("/api/hubnote/create", express.json(), async (req, res) => {
   }
 });
 
+// ==============================
+// /api/monday/webhook  (Monday → Slack)
+// ==============================
+//
+// Add a Monday webhook integration on each CS board pointing at:
+//   POST https://<render>/api/monday/webhook?secret=<MONDAY_WEBHOOK_SECRET>
+// for "When a column changes" and "When an update is posted".
+// Monday verifies the URL first by POSTing { challenge } and expecting it echoed back.
+//
+// Only items created through /cstask (see rememberMondayItemOrigin) are posted to Slack.
+//
+const MONDAY_ITEM_ORIGINS_NS = "mondayItemOrigins";
+
+function rememberMondayItemOrigin(itemId, origin) {
+  if (!itemId || !origin?.channelId) return;
+  storeSet(MONDAY_ITEM_ORIGINS_NS, String(itemId), { ...origin, createdAt: nowIso() });
+}
+
+function getMondayItemOrigin(itemId) {
+  return itemId ? storeGet(MONDAY_ITEM_ORIGINS_NS, String(itemId)) : null;
+}
+
+async function mondayGetUserNames(userIds) {
+  const ids = (userIds || []).map(String).filter(Boolean);
+  if (!ids.length) return [];
+
+  const data = await mondayGraphQL(
+    `
+    query ($ids:[ID!]) {
+      users(ids: $ids) { id name }
+    }
+  `,
+    { ids }
+  );
+  return (data?.users || []).map((u) => u.name || `User ${u.id}`);
+}
+
+function quoteForSlack(text) {
+  return String(text || "")
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => `> ${line}`)
+    .join("\n");
+}
+
+// Returns the Slack message text for a Monday webhook event, or "" if we don't post it
+async function describeMondayEvent(event, origin) {
+  const itemLink = origin.itemUrl
+    ? `<${origin.itemUrl}|${event.pulseName || origin.taskName || "Monday item"}>`
+    : `*${event.pulseName || origin.taskName || "Monday item"}*`;
+  const columnType = event.columnType === "color" ? "status" : event.columnType;
+
+  if (event.type === "create_update") {
+    const [author] = await mondayGetUserNames([event.userId]).catch(() => []);
+    return (
+      `💬 New update on ${itemLink}${author ? ` from *${author}*` : ""}:\n` +
+      quoteForSlack(String(event.textBody || "").slice(0, 2500))
+    );
+  }
+
+  if (event.type === "update_column_value" || event.type === "change_status_column_value") {
+    if (columnType === "status") {
+      const next = event.value?.label?.text || "(empty)";
+      const prev = event.previousValue?.label?.text || "(empty)";
+      const column = event.columnTitle || "Status";
+      return `🔄 *${column}* changed on ${itemLink}: ${prev} → *${next}*`;
+    }
+
+    if (columnType === "multiple-person" || columnType === "people") {
+      const ids = (event.value?.personsAndTeams || [])
+        .filter((p) => p.kind !== "team")
+        .map((p) => p.id);
+      const names = await mondayGetUserNames(ids).catch(() => []);
+      return `👤 Owner changed on ${itemLink}: ${names.length ? `*${names.join(", ")}*` : "_unassigned_"}`;
+    }
+  }
+
+  return "";
+}
+
+async function handleMondayWebhookEvent(event) {
+  const itemId = String(event?.pulseId || event?.itemId || "");
+  const origin = getMondayItemOrigin(itemId);
+  if (!origin) return;
+
+  // Our own Slack → Monday posts come back as create_update events; don't echo them
+  if (event.type === "create_update" && (await isSyncedFromSlack(event))) return;
+
+  const text = await describeMondayEvent(event, origin);
+  if (!text) return;
+
+  await app.client.chat.postMessage({
+    channel: origin.channelId,
+    ...(origin.threadTs ? { thread_ts: origin.threadTs } : {}),
+    text,
+  });
+}
+
+receiver.app.post("/api/monday/webhook", express.json(), async (req, res) => {
+  try {
+    if (MONDAY_WEBHOOK_SECRET) {
+      const incoming = req.query.secret;
+      if (!incoming || incoming !== MONDAY_WEBHOOK_SECRET) {
+        return res.status(401).json({ ok: false, error: "unauthorized" });
+      }
+    }
+
+    const body = req.body || {};
+    if (body.challenge) {
+      return res.status(200).json({ challenge: body.challenge });
+    }
+
+    // Ack fast — Monday retries slow webhooks
+    res.status(200).json({ ok: true });
+
+    const event = body.event || {};
+    console.log("[HIT] /api/monday/webhook", {
+      type: event.type,
+      boardId: event.boardId,
+      pulseId: event.pulseId,
+      columnType: event.columnType,
+    });
+
+    await handleMondayWebhookEvent(event);
+  } catch (e) {
+    console.error("[/api/monday/webhook] error:", e?.response?.data || e?.message || e);
+    if (!res.headersSent) res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+// ==============================
+// Slack thread ↔ Monday updates sync (opt-in per task)
+// ==============================
+//
+// Needs the message.channels / message.groups / message.im event subscriptions.
+// Monday → Slack goes through /api/monday/webhook above; this adds Slack → Monday.
+//
+const MONDAY_THREAD_SYNC_NS = "mondayThreadSync";
+const SYNCED_UPDATE_TTL_MS = 10 * 60 * 1000;
+const SYNCED_FROM_SLACK_MARKER = "(from Slack):";
+const syncedFromSlackUpdateIds = new Map(); // Monday update id -> expiresAt
+
+function threadSyncKey(channelId, threadTs) {
+  return `${channelId}:${threadTs}`;
+}
+
+function rememberSyncedFromSlack(updateId) {
+  if (!updateId) return;
+  const now = Date.now();
+  for (const [id, expiresAt] of syncedFromSlackUpdateIds) {
+    if (expiresAt < now) syncedFromSlackUpdateIds.delete(id);
+  }
+  syncedFromSlackUpdateIds.set(String(updateId), now + SYNCED_UPDATE_TTL_MS);
+}
+
+// The account behind MONDAY_API_TOKEN — every Slack → Monday update is posted as this user
+let mondayApiUserIdPromise = null;
+function getMondayApiUserId() {
+  if (!mondayApiUserIdPromise) {
+    mondayApiUserIdPromise = mondayGraphQL(`query { me { id } }`)
+      .then((data) => String(data?.me?.id || ""))
+      .catch((e) => {
+        mondayApiUserIdPromise = null;
+        throw e;
+      });
+  }
+  return mondayApiUserIdPromise;
+}
+
+// The id check covers the normal case. A webhook that beats our mutation response is still
+// caught when it was posted by the API user with our marker, so people typing the marker aren't dropped.
+async function isSyncedFromSlack(event) {
+  const expiresAt = syncedFromSlackUpdateIds.get(String(event?.updateId || ""));
+  if (expiresAt && expiresAt > Date.now()) return true;
+  if (!String(event?.textBody || "").includes(SYNCED_FROM_SLACK_MARKER)) return false;
+
+  try {
+    return !!event.userId && String(event.userId) === (await getMondayApiUserId());
+  } catch (e) {
+    console.error("[monday sync] couldn’t look up the API user:", e?.message || e);
+    return false;
+  }
+}
+
+async function mondayCreateUpdate(itemId, html) {
+  const data = await mondayGraphQL(
+    `
+    mutation ($itemId:ID!, $body:String!) {
+      create_update(item_id: $itemId, body: $body) { id }
+    }
+  `,
+    { itemId: String(itemId), body: html }
+  );
+  return data?.create_update || {};
+}
+
+async function enableMondayThreadSync(client, itemId, origin) {
+  if (!origin?.channelId || !origin?.threadTs) return;
+
+  storeSet(MONDAY_ITEM_ORIGINS_NS, String(itemId), { ...getMondayItemOrigin(itemId), ...origin, sync: true });
+  storeSet(MONDAY_THREAD_SYNC_NS, threadSyncKey(origin.channelId, origin.threadTs), String(itemId));
+
+  await client.chat.postMessage({
+    channel: origin.channelId,
+    thread_ts: origin.threadTs,
+    text: "🔁 Replies in this thread are synced with the Monday item’s updates.",
+    blocks: [
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: "🔁 Replies in this thread are synced with the Monday item’s updates." },
+        accessory: {
+          type: "button",
+          action_id: "cstask_sync_stop",
+          text: { type: "plain_text", text: "Stop syncing" },
+          value: String(itemId),
+        },
+      },
+    ],
+  });
+}
+
+function disableMondayThreadSync(itemId) {
+  const origin = getMondayItemOrigin(itemId);
+  if (!origin) return;
+  storeSet(MONDAY_ITEM_ORIGINS_NS, String(itemId), { ...origin, sync: false });
+  storeDelete(MONDAY_THREAD_SYNC_NS, threadSyncKey(origin.channelId, origin.threadTs));
+}
+
+app.action("cstask_sync_stop", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    disableMondayThreadSync(body?.actions?.[0]?.value || "");
+
+    const channel = body?.channel?.id;
+    const ts = body?.message?.ts;
+    if (!channel || !ts) return;
+    await client.chat.update({
+      channel,
+      ts,
+      text: `⏹️ Thread sync stopped by <@${body.user.id}>.`,
+      blocks: [
+        { type: "section", text: { type: "mrkdwn", text: `⏹️ Thread sync stopped by <@${body.user.id}>.` } },
+      ],
+    });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+// Thread reply in a synced thread → Monday update
+app.event("message", async ({ event, client, logger }) => {
+  try {
+    if (!event.thread_ts || event.thread_ts === event.ts) return;
+    // Bot posts (including our own Monday → Slack replies) and edits/deletes never sync
+    if (event.bot_id || (event.subtype && !["file_share", "thread_broadcast"].includes(event.subtype))) return;
+
+    const itemId = storeGet(MONDAY_THREAD_SYNC_NS, threadSyncKey(event.channel, event.thread_ts));
+    if (!itemId || !getMondayItemOrigin(itemId)?.sync) return;
+
+    let author = event.user || "Someone";
+    try {
+      const info = await client.users.info({ user: event.user });
+      author = info?.user?.profile?.display_name || info?.user?.real_name || author;
+    } catch (_) {}
+
+    const text = String(event.text || "").trim() || "(shared a file in Slack)";
+    const html =
+      `<p><strong>${escapeHtml(author)}</strong> ${SYNCED_FROM_SLACK_MARKER}</p>` +
+      `<p>${escapeHtml(text).replace(/\n/g, "<br/>")}</p>`;
+
+    const update = await mondayCreateUpdate(itemId, html);
+    rememberSyncedFromSlack(update?.id);
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
 // ==============================
 // HUBNOTE SESSION STORE + UI
 // ==============================
@@ -1325,7 +4944,7 @@ receiver.app.post("/zapier/hubnote/callback", express.json(), async (req, res) =
     hubnoteSetSession(sessionId, {
       correlationId: correlation_id || "",
       hubspotNoteId: String(hubspot_note_id),
-      hubspotObjectType: hubspot_object_type === "deal" ? "deal" : "ticket",
+      hubspotObjectType: normalizeHubspotRecordType(hubspot_object_type),
       hubspotObjectId: hubspot_object_id ? String(hubspot_object_id) : "",
       originChannelId: origin_channel_id,
       originUserId: origin_user_id,
@@ -1505,7 +5124,7 @@ app.options("hubnote_v2_stage_select", async ({ body, options, ack, logger }) =>
   }
 });
 
-// Record dropdown options (depends on pipelineId + stageId)
+// Record dropdown options (quick find: pipeline/stage only narrow ticket/deal results when chosen)
 app.options("hubnote_v2_record_select", async ({ body, options, ack, logger }) => {
   try {
     const meta = parsePrivateMetadata(body?.view?.private_metadata);
@@ -1514,21 +5133,6 @@ app.options("hubnote_v2_record_select", async ({ body, options, ack, logger }) =
     const stageId = meta.stageId || "";
     const q = options?.value || "";
 
-    if (!pipelineId) {
-      return await ack({
-        options: [
-          { text: { type: "plain_text", text: "Select a pipeline first" }, value: "SELECT_PIPELINE_FIRST" },
-        ],
-      });
-    }
-    if (!stageId) {
-      return await ack({
-        options: [
-          { text: { type: "plain_text", text: "Select a stage first" }, value: "SELECT_STAGE_FIRST" },
-        ],
-      });
-    }
-
     const records = await hsSearchRecords({ recordType, pipelineId, stageId, query: q });
 
     const opts = (records || []).slice(0, 100).map((r) => ({
@@ -1536,6 +5140,20 @@ app.options("hubnote_v2_record_select", async ({ body, options, ack, logger }) =
       value: String(r.id),
     }));
 
+    const needle = q.trim().toLowerCase();
+    const recentOpts = getRecentHubnoteRecords(body?.user?.id)
+      .filter((r) => r.recordType === recordType && (!needle || r.label.toLowerCase().includes(needle)))
+      .map(buildRecentHubnoteRecordOption);
+
+    if (recentOpts.length) {
+      return await ack({
+        option_groups: [
+          { label: { type: "plain_text", text: "Recent" }, options: recentOpts },
+          ...(opts.length ? [{ label: { type: "plain_text", text: "Results" }, options: opts }] : []),
+        ],
+      });
+    }
+
     if (!opts.length) {
       return await ack({
         options: [
@@ -1555,6 +5173,96 @@ app.options("hubnote_v2_record_select", async ({ body, options, ack, logger }) =
   }
 });
 
+// "Move to stage" options: the chosen record's pipeline (current stage marked), else every pipeline
+app.options("hubnote_v2_move_stage_select", async ({ body, options, ack, logger }) => {
+  try {
+    const meta = parsePrivateMetadata(body?.view?.private_metadata);
+    const values = body?.view?.state?.values || {};
+    const q = (options?.value || "").trim().toLowerCase();
+
+    const pickedValue = findSelectedOptionValue(values, "hubnote_v2_record_select");
+    const recent = findRecentHubnoteRecord(body?.user?.id, pickedValue);
+    const recordType = recent?.recordType || meta.recordType || "ticket";
+    const recordId = recent?.id || pickedValue;
+
+    if (!hsRecordTypeHasPipelines(recordType)) return await ack({ options: [] });
+
+    const [pipelines, current] = await Promise.all([
+      hsGetPipelines(recordType),
+      recordId && /^\d+$/.test(recordId) ? hsGetRecordStage(recordType, recordId).catch(() => null) : null,
+    ]);
+
+    const scoped = current?.pipelineId
+      ? (pipelines || []).filter((p) => p.id === current.pipelineId)
+      : pipelines || [];
+
+    const groups = scoped
+      .map((p) => ({
+        label: { type: "plain_text", text: String(p.label).slice(0, 75) },
+        options: (p.stages || [])
+          .filter((st) => !q || (st.label || "").toLowerCase().includes(q))
+          .map((st) => ({
+            text: {
+              type: "plain_text",
+              text: `${st.label}${current && st.id === current.stageId ? " (current)" : ""}`.slice(0, 75),
+            },
+            value: `${p.id}:${st.id}`,
+          })),
+      }))
+      .filter((g) => g.options.length)
+      .slice(0, 100);
+
+    if (!groups.length) {
+      return await ack({ options: [{ text: { type: "plain_text", text: "No stages found" }, value: "NO_STAGES" }] });
+    }
+    return await ack({ option_groups: groups });
+  } catch (e) {
+    logger.error(e);
+    return await ack({
+      options: [
+        { text: { type: "plain_text", text: "ERROR loading stages (check Render logs)" }, value: "ERROR_STAGES" },
+      ],
+    });
+  }
+});
+
+// "Also associate with" options: every record type at once, grouped by type (value = "type:id")
+const HS_ALSO_ASSOC_SEARCH_MS = 2500;
+
+app.options("hubnote_v2_also_assoc_select", async ({ options, ack, logger }) => {
+  const q = (options?.value || "").trim();
+
+  const groups = await Promise.all(
+    HS_RECORD_TYPE_OPTIONS.map(async (typeOpt) => {
+      const recordType = typeOpt.value;
+      try {
+        const records = await withTimeout(
+          hsSearchRecords({ recordType, query: q, extended: false }),
+          HS_ALSO_ASSOC_SEARCH_MS
+        );
+        return {
+          label: { type: "plain_text", text: `${typeOpt.text.text}s` },
+          options: (records || []).slice(0, 20).map((r) => ({
+            text: { type: "plain_text", text: String(r.label).slice(0, 75) },
+            value: `${recordType}:${r.id}`,
+          })),
+        };
+      } catch (e) {
+        logger.error(e);
+        return null;
+      }
+    })
+  );
+
+  const optionGroups = groups.filter((g) => g?.options.length);
+  if (!optionGroups.length) {
+    return await ack({
+      options: [{ text: { type: "plain_text", text: "No records match that search" }, value: "NO_RECORDS" }],
+    });
+  }
+  return await ack({ option_groups: optionGroups });
+});
+
 // ==============================
 // HUBNOTE V2 — ACTION HANDLERS (store selections + reset downstream)
 // These make “changing pipeline” correctly clears stage/record so it refreshes.
@@ -1567,6 +5275,12 @@ app.action("hubnote_v2_record_type_select", async ({ ack, body, client, logger }
     const view = body?.view;
     if (!view?.id) return;
 
+    const recent = findRecentHubnoteRecord(body.user.id, selected);
+    if (recent) {
+      await applyRecentHubnoteRecord({ view, userId: body.user.id, recent, client });
+      return;
+    }
+
     const meta = parsePrivateMetadata(view.private_metadata);
     meta.recordType = selected;
 
@@ -1575,10 +5289,15 @@ app.action("hubnote_v2_record_type_select", async ({ ack, body, client, logger }
     meta.stageId = "";
     meta.recordId = "";
 
+    const moveStageRev = nextHubnoteMoveStageRev(meta);
+
+    const cleanView = buildCleanViewPayload(view, JSON.stringify(meta));
+    cleanView.blocks = applyHubnoteRecordTypeBlocks(view.blocks, selected, {}, {}, moveStageRev);
+
     await client.views.update({
       view_id: view.id,
       hash: view.hash,
-      view: buildCleanViewPayload(view, JSON.stringify(meta)),
+      view: cleanView,
     });
   } catch (e) {
     logger.error(e);
@@ -1702,54 +5421,168 @@ app.options("hubnote_files_select", async ({ ack, body, options, client, logger
  * This was intentionally added without changing any of the existing lookup/options logic.
  */
 app.view("hubnote_modal_submit_v2", async ({ ack, body, view, client, logger }) => {
+  let acked = false;
+  let noteCreated = false;
   try {
     const values = (view && view.state && view.state.values) ? view.state.values : {};
 
+    // Block ids gain a revision suffix after a "Recent" pick, so read by action_id
+    const userIdForRecent = body?.user?.id;
+    const recentType = findRecentHubnoteRecord(
+      userIdForRecent,
+      findSelectedOptionValue(values, "hubnote_v2_record_type_select")
+    );
+    const recentRecord = findRecentHubnoteRecord(
+      userIdForRecent,
+      findSelectedOptionValue(values, "hubnote_v2_record_select")
+    );
+
     const recordType =
-      values.record_type_block_v2?.hubnote_v2_record_type_select?.selected_option?.value || "ticket";
+      recentRecord?.recordType ||
+      recentType?.recordType ||
+      findSelectedOptionValue(values, "hubnote_v2_record_type_select") ||
+      "ticket";
 
-    const pipelineId =
-      values.pipeline_block_v2?.hubnote_v2_pipeline_select?.selected_option?.value || "";
+    const pipelineId = findSelectedOptionValue(values, "hubnote_v2_pipeline_select");
 
-    const stageId =
-      values.stage_block_v2?.hubnote_v2_stage_select?.selected_option?.value || "";
+    const stageId = findSelectedOptionValue(values, "hubnote_v2_stage_select");
 
     const recordId =
-      values.record_block_v2?.hubnote_v2_record_select?.selected_option?.value || "";
+      recentRecord?.id ||
+      (recentType ? recentType.id : "") ||
+      findSelectedOptionValue(values, "hubnote_v2_record_select");
+
+    const recordLabel =
+      recentRecord?.label ||
+      recentType?.label ||
+      Object.values(values)
+        .map((b) => b.hubnote_v2_record_select?.selected_option?.text?.text)
+        .find(Boolean) ||
+      "";
 
     const noteTitle =
       values.note_title_block_v2?.hubnote_v2_note_title_input?.value || "";
 
-    const noteBody =
+    const freeTextBody =
       values.note_body_block_v2?.hubnote_v2_note_body_input?.value || "";
 
+    const meta = parsePrivateMetadata(view.private_metadata);
+
+    // With a template, the fields become the body and the free text is an optional addendum
+    const template = getHubnoteTemplate(meta.templateId);
+    const rendered = template ? renderHubnoteTemplateBody(template, values, freeTextBody) : null;
+    const noteBody = rendered ? rendered.body : freeTextBody;
+
+    // A stage from another pipeline (a stale pick) isn't checked here — that would cost a HubSpot call
+    // before ack; hsMoveRecordToStage refuses it after the note is saved and the DM says so.
+    const [movePipelineId, moveStageId] = findSelectedOptionValue(values, "hubnote_v2_move_stage_select").split(":");
+
+    const alsoAssociate = (
+      values.also_assoc_block_v2?.hubnote_v2_also_assoc_select?.selected_options || []
+    )
+      .map((o) => o.value)
+      .filter((v) => v && v !== "NO_RECORDS");
+
+    // Files from a thread saved via the "Save thread to HubSpot" shortcut
+    const threadFileIds = (
+      values.thread_files_block_v2?.hubnote_v2_thread_files_select?.selected_options || []
+    ).map((o) => o.value);
+
     // Basic validation (keeps modal open and highlights fields)
     const errors = {};
-    if (!recordType) errors.record_type_block_v2 = "Please choose Ticket or Deal.";
-    if (!pipelineId) errors.pipeline_block_v2 = "Please choose a pipeline.";
-    if (!stageId) errors.stage_block_v2 = "Please choose a pipeline stage.";
-    if (!recordId) errors.record_block_v2 = "Please choose a record.";
+    if (!recordType) errors[hubnoteBlockIdIn(view.blocks, "record_type_block_v2")] = "Please choose a record type.";
+    if (!recordId) errors[hubnoteBlockIdIn(view.blocks, "record_block_v2")] = "Please choose a record.";
     if (!noteTitle.trim()) errors.note_title_block_v2 = "Please enter a note title.";
-    if (!noteBody.trim()) errors.note_body_block_v2 = "Please enter a note body.";
+    if (rendered) Object.assign(errors, rendered.errors);
+    else if (!noteBody.trim()) errors.note_body_block_v2 = "Please enter a note body.";
 
     if (Object.keys(errors).length) {
       await ack({ response_action: "errors", errors });
       return;
     }
 
-    // Create note + associate to Ticket/Deal
-    const noteId = await hsCreateNoteAndAssociate({
+    // Association lookups per target and mention lookups grow with the note, so close the modal
+    // now and report everything (including failures) by DM
+    await ack({ response_action: "clear" });
+    acked = true;
+
+    // Create note + associate to the Ticket/Deal/Contact/Company
+    const created = await hsCreateNoteAndAssociate({
       hubspot_object_type: recordType,
       hubspot_object_id: recordId,
+      targets: alsoAssociate,
       note_title: noteTitle,
       note_body: noteBody,
     });
 
-    await ack({ response_action: "clear" });
+    const noteId = created?.hubspot_note_id || "";
+    const extraCount = Math.max(0, (created?.targets?.length || 1) - 1);
+
+    noteCreated = true;
+    deleteModalDraft(body?.user?.id, "hubnote");
+
+    let stageLine = "";
+    if (moveStageId && hsRecordTypeHasPipelines(recordType)) {
+      try {
+        const { from, to } = await hsMoveRecordToStage({
+          recordType,
+          recordId,
+          pipelineId: movePipelineId,
+          stageId: moveStageId,
+        });
+        const fromText = from.pipelineId === to.pipelineId ? from.stageLabel : `${from.pipelineLabel} › ${from.stageLabel}`;
+        const toText = from.pipelineId === to.pipelineId ? to.stageLabel : `${to.pipelineLabel} › ${to.stageLabel}`;
+        stageLine =
+          from.stageId === to.stageId && from.pipelineId === to.pipelineId
+            ? `\n🔀 Stage unchanged: already in *${toText}*.`
+            : `\n🔀 Stage: *${fromText}* → *${toText}*`;
+      } catch (e) {
+        logger?.error?.(e);
+        stageLine =
+          e?.code === "PIPELINE_MISMATCH"
+            ? "\n⚠️ The note was saved, but the record wasn’t moved: the stage you picked is in a different pipeline from the record’s. Move it in HubSpot if that was intended."
+            : "\n⚠️ The note was saved, but I couldn’t move the record to the new stage.";
+      }
+    }
+
+    let threadFilesLine = "";
+    if (threadFileIds.length) {
+      const { results, uploadedIds } = await transferSlackFilesToHubspot(client, threadFileIds, logger);
+      try {
+        if (uploadedIds.length) await hsAppendAttachmentsToNote(noteId, uploadedIds);
+        threadFilesLine = `\n${formatHubspotFileTransferReport(results)}`;
+      } catch (e) {
+        logger?.error?.(e);
+        threadFilesLine = "\n⚠️ The thread files uploaded but couldn’t be attached to the note.";
+      }
+    }
+    if (meta.omittedThreadFiles > 0) {
+      threadFilesLine += `\n📎 ${meta.omittedThreadFiles} more thread file${
+        meta.omittedThreadFiles === 1 ? " wasn’t" : "s weren’t"
+      } offered in the form — attach ${meta.omittedThreadFiles === 1 ? "it" : "them"} with “Yes” below.`;
+    }
+
+    // Long thread: the modal only held the first part of the transcript
+    let transcriptLine = "";
+    const savedTranscript = meta.fullTranscript ? storeGet(HUBNOTE_THREAD_TRANSCRIPTS_NS, meta.correlationId) : null;
+    if (savedTranscript?.rest && noteId) {
+      try {
+        const complete = await hsAppendThreadTranscriptToNote(noteId, savedTranscript.rest);
+        transcriptLine = complete
+          ? "\n📜 The rest of the thread transcript was added to the note."
+          : "\n📜 The thread transcript was added to the note, cut short at HubSpot’s note size limit.";
+        storeDelete(HUBNOTE_THREAD_TRANSCRIPTS_NS, meta.correlationId);
+      } catch (e) {
+        logger?.error?.(e);
+        transcriptLine = "\n⚠️ I couldn’t add the rest of the thread transcript to the note.";
+      }
+    } else if (meta.fullTranscript) {
+      transcriptLine = "\n⚠️ The rest of the thread transcript had expired, so only the part in the form was saved.";
+    }
 
     // Confirmation + follow-up (DM the user so we don't need an origin channel)
     // We intentionally do NOT use Slack's `file_input` block element here because it requires the `files:read` scope.
-    // Instead, we offer an optional follow-up flow to add attachment LINKS as a second HubSpot note.
+    // Instead, we offer an optional follow-up flow to add attachment LINKS to the note (see HUBNOTE_ATTACHMENT_LINKS_MODE).
     const userId = body?.user?.id;
     if (userId) {
       const ctx = {
@@ -1757,17 +5590,27 @@ app.view("hubnote_modal_submit_v2", async ({ ack, body, view, client, logger })
         recordId,
         noteId: noteId || "",
         noteTitle,
+        alsoAssociate,
       };
 
+      rememberHubnoteForUser(userId, { noteId, noteTitle, recordType, recordId });
+      rememberHubnoteRecordForUser(userId, { recordType, id: recordId, label: recordLabel }).catch((e) =>
+        logger?.error?.(e)
+      );
+
       await client.chat.postMessage({
         channel: userId,
-        text: `✅ HubSpot note created and attached to ${recordType} ${recordId}${noteId ? ` (note ${noteId})` : ""}.`,
+        text: `✅ HubSpot note created and attached to ${recordType} ${recordId}${
+          extraCount ? ` and ${extraCount} other record${extraCount === 1 ? "" : "s"}` : ""
+        }${noteId ? ` (note ${noteId})` : ""}.`,
         blocks: [
           {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: `✅ *HubSpot note created!*\n\n:paperclip: Want to attach files to this note?`,
+              text: `✅ *HubSpot note created!*${
+                extraCount ? ` Associated with ${extraCount + 1} records.` : ""
+              }${stageLine}${threadFilesLine}${transcriptLine}\n\n:paperclip: Want to attach files to this note?`,
             },
           },
           {
@@ -1787,6 +5630,7 @@ app.view("hubnote_modal_submit_v2", async ({ ack, body, view, client, logger })
                 text: { type: "plain_text", text: ":bear-headshake: No", emoji: true },
                 value: JSON.stringify(ctx),
               },
+              buildHubnoteEditButton(noteId),
             ],
           },
           {
@@ -1804,13 +5648,47 @@ app.view("hubnote_modal_submit_v2", async ({ ack, body, view, client, logger })
   } catch (err) {
     logger?.error?.(err);
 
-    // Keep modal open with a friendly error
-    await ack({
-      response_action: "errors",
-      errors: {
-        note_body_block_v2: "Something went wrong creating the note. Please try again (or contact Trey if it persists).",
-      },
-    });
+    if (!acked) {
+      // Failed while reading the form: keep the modal open with a friendly error
+      await ack({
+        response_action: "errors",
+        errors: {
+          note_body_block_v2: "Something went wrong creating the note. Please try again (or contact Trey if it persists).",
+        },
+      });
+      return;
+    }
+
+    if (noteCreated) return; // the note exists; the follow-ups report their own problems
+
+    // The modal is already closed, so keep what was typed as a draft and offer it back
+    const userId = body?.user?.id;
+    try {
+      const saved = saveModalDraft(userId, "hubnote", view);
+      await client.chat.postMessage({
+        channel: userId,
+        text: "❌ I couldn’t create the HubSpot note. Please try again (or contact Trey if it persists).",
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: "❌ I couldn’t create the HubSpot note. Please try again (or contact Trey if it persists).",
+            },
+          },
+          ...(saved
+            ? buildResumeDraftBlocks({
+                kind: "HubSpot note",
+                savedAt: Date.now(),
+                resumeActionId: "hubnote_resume_draft",
+                discardActionId: "hubnote_discard_draft",
+              })
+            : []),
+        ],
+      });
+    } catch (e) {
+      logger?.error?.(e);
+    }
   }
 });
 
@@ -1907,6 +5785,7 @@ app.action("hubnote_v2_attach_no", async ({ ack, body, client, logger }) => {
     const channel = body?.channel?.id;
     const ts = body?.message?.ts;
     if (!channel || !ts) return;
+    const { noteId } = safeJsonParse(body?.actions?.[0]?.value, {}) || {};
     await client.chat.update({
       channel,
       ts,
@@ -1915,42 +5794,93 @@ app.action("hubnote_v2_attach_no", async ({ ack, body, client, logger }) => {
         {
           type: "section",
           text: { type: "mrkdwn", text: "👍 No attachments added." },
+          ...(noteId ? { accessory: buildHubnoteEditButton(noteId) } : {}),
         },
       ],
     });
   } catch (e) {
     logger.error(e);
   }
-});
+});
+
+// Adds links to an "📎 Attachments" section at the end of the note (reusing the section if it's already there).
+// Returns false when the note no longer exists so callers can fall back to a separate note.
+const HUBNOTE_ATTACHMENTS_HEADING = "<b>📎 Attachments</b>";
+
+async function hsAppendAttachmentLinksToNote(noteId, links) {
+  let current;
+  try {
+    current = await hsGetNoteBody(noteId);
+  } catch (e) {
+    if (e?.response?.status === 404) return false;
+    throw e;
+  }
+
+  const items = links.map((u) => `<li>${htmlLink(u)}</li>`).join("");
+  const headingAt = current.lastIndexOf(HUBNOTE_ATTACHMENTS_HEADING);
+  const listEnd = headingAt >= 0 ? current.indexOf("</ul>", headingAt) : -1;
+
+  const updated =
+    listEnd >= 0
+      ? current.slice(0, listEnd) + items + current.slice(listEnd)
+      : `${current}<br/><br/>${HUBNOTE_ATTACHMENTS_HEADING}<ul>${items}</ul>`;
+
+  await hsUpdateNoteBody(noteId, updated);
+  return true;
+}
+
+app.view("hubnote_attach_links_submit_v2", async ({ ack, body, view, client, logger }) => {
+  const linksRaw =
+    view?.state?.values?.attach_links_block_v2?.hubnote_attach_links_input_v2?.value || "";
+  const links = linksRaw
+    .split(/\r?\n/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  if (!links.length) {
+    await ack({
+      response_action: "errors",
+      errors: { attach_links_block_v2: "Please paste at least one link." },
+    });
+    return;
+  }
 
-app.view("hubnote_attach_links_submit_v2", async ({ ack, body, view, client, logger }) => {
-  try {
-    const meta = safeJsonParse(view?.private_metadata, {}) || {};
-    const linksRaw =
-      view?.state?.values?.attach_links_block_v2?.hubnote_attach_links_input_v2?.value || "";
-    const links = linksRaw
-      .split(/\r?\n/)
-      .map((s) => s.trim())
-      .filter(Boolean);
+  await ack();
 
-    if (!links.length) {
-      await ack({
-        response_action: "errors",
-        errors: { attach_links_block_v2: "Please paste at least one link." },
-      });
-      return;
+  const userId = body?.user?.id;
+  try {
+    let meta = safeJsonParse(view?.private_metadata, {}) || {};
+
+    // Zapier flow: the modal only carries a session id
+    const session = meta.sessionId ? hubnoteGetSession(meta.sessionId) : null;
+    if (session) {
+      meta = {
+        ...meta,
+        recordType: meta.recordType || session.hubspotObjectType,
+        recordId: meta.recordId || session.hubspotObjectId,
+        noteId: meta.noteId || session.hubspotNoteId,
+      };
     }
 
-    await ack();
-
     const recordType = meta.recordType;
     const recordId = meta.recordId;
-    const originalNoteId = meta.noteId;
+    const originalNoteId = normalizeHubspotNoteId(meta.noteId);
     const noteTitle = meta.noteTitle || "HubSpot Note";
 
+    if (HUBNOTE_ATTACHMENT_LINKS_MODE === "append" && originalNoteId) {
+      if (await hsAppendAttachmentLinksToNote(originalNoteId, links)) {
+        if (userId) {
+          await client.chat.postMessage({
+            channel: userId,
+            text: `✅ Added ${links.length} attachment link${links.length === 1 ? "" : "s"} to HubSpot note ${originalNoteId}.`,
+          });
+        }
+        return;
+      }
+    }
+
     if (!recordType || !recordId) {
       // Can't proceed; just DM the user.
-      const userId = body?.user?.id;
       if (userId) {
         await client.chat.postMessage({
           channel: userId,
@@ -1960,33 +5890,40 @@ app.view("hubnote_attach_links_submit_v2", async ({ ack, body, view, client, log
       return;
     }
 
+    // Separate-note mode, or the original note is gone
     const bodyText =
       `📎 Attachments for: ${noteTitle}` +
       (originalNoteId ? ` (original note: ${originalNoteId})` : "") +
       "\n\n" +
       links.map((u) => `• ${u}`).join("\n");
 
-    const attachmentNoteId = await hsCreateNoteAndAssociate({
+    const created = await hsCreateNoteAndAssociate({
       hubspot_object_type: recordType,
       hubspot_object_id: recordId,
+      targets: meta.alsoAssociate || [],
       note_title: `📎 Attachments — ${noteTitle}`,
       note_body: bodyText,
     });
 
-    // DM confirmation
-    const userId = body?.user?.id;
     if (userId) {
+      const fellBack = HUBNOTE_ATTACHMENT_LINKS_MODE === "append" && originalNoteId;
       await client.chat.postMessage({
         channel: userId,
-        text: `✅ Added attachment links as a new HubSpot note${attachmentNoteId ? ` (note ${attachmentNoteId})` : ""}.`,
+        text:
+          (fellBack ? "⚠️ The original note no longer exists in HubSpot, so " : "✅ ") +
+          `${fellBack ? "I added" : "Added"} the attachment links as a new HubSpot note (note ${created.hubspot_note_id}).`,
       });
     }
   } catch (e) {
     logger.error(e);
-    await ack({
-      response_action: "errors",
-      errors: { attach_links_block_v2: "Something went wrong. Please try again." },
-    });
+    if (userId) {
+      try {
+        await client.chat.postMessage({
+          channel: userId,
+          text: "❌ Something went wrong adding the attachment links. Please try again.",
+        });
+      } catch (_) {}
+    }
   }
 });
 
@@ -2009,6 +5946,7 @@ app.view("hubnote_attach_files_submit_v2", async ({ ack, body, view, client, log
     }
 
     const fileIds = extractSlackFileIdsFromView(view);
+
     if (!fileIds.length) {
       await client.chat.postMessage({
         channel: body.user.id,
@@ -2017,18 +5955,27 @@ app.view("hubnote_attach_files_submit_v2", async ({ ack, body, view, client, log
       return;
     }
 
-    const uploadedIds = [];
-    for (const fid of fileIds) {
-      const { filename, mimeType, buffer } = await slackDownloadFileToBuffer(client, fid);
-      const hsFile = await hsUploadFileFromBuffer({ filename, mimeType, buffer });
-      if (hsFile?.id) uploadedIds.push(String(hsFile.id));
-    }
+    const { results, uploadedIds } = await transferSlackFilesToHubspot(client, fileIds, logger);
 
-    await hsAppendAttachmentsToNote(noteId, uploadedIds);
+    // Only files that made it into HubSpot get attached; the report covers the rest
+    if (uploadedIds.length) {
+      try {
+        await hsAppendAttachmentsToNote(noteId, uploadedIds);
+      } catch (e) {
+        logger.error(e);
+        await client.chat.postMessage({
+          channel: body.user.id,
+          text: `⚠️ ${uploadedIds.length} file(s) uploaded to HubSpot but couldn’t be attached to note ${noteId}. Please try again.`,
+        });
+        return;
+      }
+    }
 
     await client.chat.postMessage({
       channel: body.user.id,
-      text: `✅ Attached ${uploadedIds.length} file${uploadedIds.length === 1 ? '' : 's'} to the HubSpot note.`,
+      text:
+        (uploadedIds.length === results.length ? "✅ " : uploadedIds.length ? "⚠️ " : "❌ ") +
+        formatHubspotFileTransferReport(results),
     });
   } catch (e) {
     logger.error(e);
@@ -2041,6 +5988,541 @@ app.view("hubnote_attach_files_submit_v2", async ({ ack, body, view, client, log
   }
 });
 
+// ==============================
+// HubSpot Note v2: edit / append (confirmation DM button + `/hubnote edit`)
+// ==============================
+const HUBNOTE_RECENT_NOTES_NS = "hubnoteRecentNotes";
+const HUBNOTE_RECENT_NOTES_MAX = 10;
+
+function rememberHubnoteForUser(userId, note) {
+  if (!userId || !note?.noteId) return;
+  const existing = (storeGet(HUBNOTE_RECENT_NOTES_NS, userId) || []).filter((n) => n.noteId !== note.noteId);
+  storeSet(
+    HUBNOTE_RECENT_NOTES_NS,
+    userId,
+    [{ ...note, createdAt: nowIso() }, ...existing].slice(0, HUBNOTE_RECENT_NOTES_MAX)
+  );
+}
+
+// HubSpot note HTML → { title, body } as Slack mrkdwn, so a save round-trips through slackToHubspotNoteHtml
+function hubspotNoteHtmlToSlackText(html) {
+  let src = String(html || "");
+  let title = "";
+  const titleMatch = src.match(/^\s*<(b|strong)>([\s\S]*?)<\/\1>\s*(<br\s*\/?>)?/i);
+  if (titleMatch) {
+    title = titleMatch[2];
+    src = src.slice(titleMatch[0].length);
+  }
+
+  const toText = (s) =>
+    s
+      .replace(/<pre[^>]*>\s*<code[^>]*>([\s\S]*?)<\/code>\s*<\/pre>/gi, "\n```\n$1\n```\n")
+      .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) =>
+        label.trim() === href.trim() ? href : `<${href}|${label}>`
+      )
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|blockquote|ul|ol)>/gi, "\n")
+      .replace(/<li[^>]*>/gi, "• ")
+      .replace(/<\/li>/gi, "\n")
+      .replace(/<blockquote[^>]*>/gi, "> ")
+      .replace(/<(strong|b)>([\s\S]*?)<\/\1>/gi, "*$2*")
+      .replace(/<(em|i)>([\s\S]*?)<\/\1>/gi, "_$2_")
+      .replace(/<(s|strike|del)>([\s\S]*?)<\/\1>/gi, "~$2~")
+      .replace(/<code>([\s\S]*?)<\/code>/gi, "`$1`")
+      .replace(/<(?!(?:https?:|mailto:))[^>]+>/g, "")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+
+  return { title: toText(title), body: toText(src) };
+}
+
+function buildHubnoteEditButton(noteId) {
+  return {
+    type: "button",
+    action_id: "hubnote_v2_edit_note",
+    text: { type: "plain_text", text: "✏️ Edit note", emoji: true },
+    value: JSON.stringify({ noteId: String(noteId || "") }),
+  };
+}
+
+function buildHubnoteEditModal({ noteId, title, body, mode = "replace", tooLongToReplace = false }) {
+  const modeOptions = [
+    { text: { type: "plain_text", text: "Replace the note text" }, value: "replace" },
+    { text: { type: "plain_text", text: "Append a timestamped addendum" }, value: "append" },
+  ].filter((o) => !(tooLongToReplace && o.value === "replace"));
+  const effectiveMode = tooLongToReplace ? "append" : mode;
+
+  const blocks = [
+    {
+      type: "input",
+      block_id: "hubnote_edit_mode_block",
+      dispatch_action: true,
+      label: { type: "plain_text", text: "Mode" },
+      element: {
+        type: "radio_buttons",
+        action_id: "hubnote_edit_mode_select",
+        options: modeOptions,
+        initial_option: modeOptions.find((o) => o.value === effectiveMode),
+      },
+    },
+  ];
+
+  if (effectiveMode === "replace") {
+    blocks.push(
+      {
+        type: "input",
+        block_id: "hubnote_edit_title_block",
+        label: { type: "plain_text", text: "Note Title / Subject" },
+        element: {
+          type: "plain_text_input",
+          action_id: "hubnote_edit_title_input",
+          ...(title ? { initial_value: title.slice(0, 150) } : {}),
+        },
+      },
+      {
+        type: "input",
+        block_id: "hubnote_edit_body_block",
+        label: { type: "plain_text", text: "Note Body" },
+        element: {
+          type: "plain_text_input",
+          action_id: "hubnote_edit_body_input",
+          multiline: true,
+          ...(body ? { initial_value: body } : {}),
+        },
+      }
+    );
+  } else {
+    const preview = body.length > 2800 ? `${body.slice(0, 2800)}…` : body;
+    blocks.push(
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `*${title || "Current note"}*\n${preview || "_(empty)_"}`.slice(0, 3000) },
+      },
+      ...(tooLongToReplace
+        ? [
+            {
+              type: "context",
+              elements: [
+                { type: "mrkdwn", text: "This note is too long to edit in Slack, so you can only append to it." },
+              ],
+            },
+          ]
+        : []),
+      {
+        type: "input",
+        block_id: "hubnote_edit_addendum_block",
+        label: { type: "plain_text", text: "Addendum" },
+        element: {
+          type: "plain_text_input",
+          action_id: "hubnote_edit_addendum_input",
+          multiline: true,
+          placeholder: { type: "plain_text", text: "Added to the end of the note with a timestamp" },
+        },
+      }
+    );
+  }
+
+  return {
+    type: "modal",
+    callback_id: "hubnote_edit_submit",
+    title: { type: "plain_text", text: "Edit HubSpot Note" },
+    submit: { type: "plain_text", text: effectiveMode === "append" ? "Append" : "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    // The note text stays out of here (private_metadata caps at 3000 chars); it's re-read when needed
+    private_metadata: JSON.stringify({ noteId, mode: effectiveMode }),
+    blocks,
+  };
+}
+
+async function loadHubnoteForEdit(noteId) {
+  const { title, body } = hubspotNoteHtmlToSlackText(await hsGetNoteBody(noteId));
+  return { noteId, title, body, tooLongToReplace: body.length > HUBNOTE_BODY_MAX_CHARS };
+}
+
+async function handleHubnoteEditCommand({ body, client }) {
+  const notes = storeGet(HUBNOTE_RECENT_NOTES_NS, body.user_id) || [];
+
+  if (!notes.length) {
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: "You haven’t created any HubSpot notes from Slack yet. Use /hubnote to create one.",
+    });
+    return;
+  }
+
+  await client.chat.postEphemeral({
+    channel: body.channel_id,
+    user: body.user_id,
+    text: "Your recent HubSpot notes",
+    blocks: [
+      { type: "section", text: { type: "mrkdwn", text: "*Your recent HubSpot notes*" } },
+      ...notes.map((n) => ({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text:
+            `*${n.noteTitle || "Untitled note"}*\n${n.recordType} ${n.recordId}` +
+            (n.createdAt ? ` · <!date^${Math.floor(Date.parse(n.createdAt) / 1000)}^{date_short_pretty} {time}|${n.createdAt}>` : ""),
+        },
+        accessory: buildHubnoteEditButton(n.noteId),
+      })),
+    ],
+  });
+}
+
+app.action("hubnote_v2_edit_note", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const { noteId } = safeJsonParse(body?.actions?.[0]?.value, {}) || {};
+  let viewId;
+  try {
+    // Fetching the note can outlive the trigger_id, so open a placeholder first
+    const opened = await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        title: { type: "plain_text", text: "Edit HubSpot Note" },
+        close: { type: "plain_text", text: "Cancel" },
+        blocks: [{ type: "section", text: { type: "mrkdwn", text: "⏳ Loading the note…" } }],
+      },
+    });
+    viewId = opened?.view?.id;
+
+    if (!noteId) throw new Error("Missing noteId on edit button");
+    const note = await loadHubnoteForEdit(noteId);
+
+    await client.views.update({ view_id: viewId, view: buildHubnoteEditModal(note) });
+  } catch (e) {
+    logger.error(e);
+    if (!viewId) return;
+    try {
+      await client.views.update({
+        view_id: viewId,
+        view: {
+          type: "modal",
+          title: { type: "plain_text", text: "Edit HubSpot Note" },
+          close: { type: "plain_text", text: "Close" },
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text:
+                  e?.response?.status === 404
+                    ? "❌ That note no longer exists in HubSpot."
+                    : "❌ I couldn’t load that note. Please try again.",
+              },
+            },
+          ],
+        },
+      });
+    } catch (_) {}
+  }
+});
+
+app.action("hubnote_edit_mode_select", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    const view = body?.view;
+    if (!view?.id) return;
+    const { noteId } = safeJsonParse(view.private_metadata, {});
+    const mode = body?.actions?.[0]?.selected_option?.value || "replace";
+    const note = await loadHubnoteForEdit(noteId);
+
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: buildHubnoteEditModal({ ...note, mode }),
+    });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+app.view("hubnote_edit_submit", async ({ ack, body, view, client, logger }) => {
+  const values = view?.state?.values || {};
+  const meta = safeJsonParse(view.private_metadata, {});
+  const mode = values.hubnote_edit_mode_block?.hubnote_edit_mode_select?.selected_option?.value || "replace";
+
+  const title = (values.hubnote_edit_title_block?.hubnote_edit_title_input?.value || "").trim();
+  const noteBody = values.hubnote_edit_body_block?.hubnote_edit_body_input?.value || "";
+  const addendum = values.hubnote_edit_addendum_block?.hubnote_edit_addendum_input?.value || "";
+
+  const errors = {};
+  if (mode === "replace") {
+    if (!title) errors.hubnote_edit_title_block = "Please enter a note title.";
+    if (!noteBody.trim()) errors.hubnote_edit_body_block = "Please enter a note body.";
+  } else if (!addendum.trim()) {
+    errors.hubnote_edit_addendum_block = "Please enter the text to append.";
+  }
+  if (Object.keys(errors).length) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+
+  // The HubSpot round trips below can outlast Slack's 3s window, so close first and report by DM
+  await ack({ response_action: "clear" });
+
+  try {
+    if (mode === "replace") {
+      const bodyHtml = await slackToHubspotNoteHtml({ text: noteBody });
+      await hsUpdateNoteBody(meta.noteId, `<b>${escapeHtml(title)}</b><br/>${bodyHtml}`);
+    } else {
+      let timeZone = "UTC";
+      let author = body.user.name || body.user.id;
+      try {
+        const res = await client.users.info({ user: body.user.id });
+        timeZone = res?.user?.tz || "UTC";
+        author = res?.user?.profile?.display_name || res?.user?.real_name || author;
+      } catch (_) {}
+
+      // Re-read so an edit made in HubSpot since the modal opened isn't lost
+      const current = await hsGetNoteBody(meta.noteId);
+      const stamp = formatSlackTs(Date.now() / 1000, timeZone);
+      const addendumHtml = await slackToHubspotNoteHtml({ text: addendum });
+      await hsUpdateNoteBody(
+        meta.noteId,
+        `${current}<br/><br/><b>Addendum — ${escapeHtml(stamp)} (${escapeHtml(author)})</b><br/>${addendumHtml}`
+      );
+    }
+  } catch (e) {
+    logger.error(e);
+    // The typed text is gone with the modal, so hand it back
+    const gone = e?.response?.status === 404;
+    const failText = gone
+      ? `❌ HubSpot note ${meta.noteId} no longer exists, so it wasn’t updated.`
+      : `❌ I couldn’t update HubSpot note ${meta.noteId}. Please try again.`;
+    const typed = `Here’s what you wrote:\n\`\`\`${(mode === "replace" ? noteBody : addendum).slice(0, 2800)}\`\`\``;
+    try {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: `${failText}\n${typed}`,
+        blocks: [
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: failText },
+            ...(gone ? {} : { accessory: buildHubnoteEditButton(meta.noteId) }),
+          },
+          { type: "section", text: { type: "mrkdwn", text: typed } },
+        ],
+      });
+    } catch (_) {}
+    return;
+  }
+
+  try {
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text:
+        mode === "replace"
+          ? `✅ HubSpot note ${meta.noteId} updated.`
+          : `✅ Addendum added to HubSpot note ${meta.noteId}.`,
+    });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+// ==============================
+// HubSpot link unfurls (link_shared)
+// Needs the links:read + links:write scopes and app.hubspot.com registered as an unfurl domain.
+// ==============================
+// /contacts/<portal>/ticket/<id> (legacy) or /contacts/<portal>/record/0-5/<id>
+const HUBSPOT_RECORD_URL_RE =
+  /^https:\/\/app(?:-[a-z0-9]+)?\.hubspot\.com\/contacts\/\d+\/(?:record\/(0-[1235])|(ticket|deal|contact|company))\/(\d+)/i;
+const HS_OBJECT_TYPE_IDS = { "0-1": "contact", "0-2": "company", "0-3": "deal", "0-5": "ticket" };
+const HUBSPOT_UNFURL_NOTES = 3;
+
+function parseHubspotRecordUrl(url) {
+  const m = String(url || "").match(HUBSPOT_RECORD_URL_RE);
+  if (!m) return null;
+  return { recordType: HS_OBJECT_TYPE_IDS[m[1]] || m[2].toLowerCase(), id: m[3] };
+}
+
+const HS_UNFURL_PROPERTIES = {
+  ticket: ["subject", HS_PIPELINE_PROP_TICKET, HS_TICKET_STAGE_PROP, "hs_ticket_priority", "hubspot_owner_id"],
+  deal: ["dealname", HS_PIPELINE_PROP_DEAL, HS_DEAL_STAGE_PROP, "amount", "deal_currency_code", "hubspot_owner_id"],
+  contact: ["firstname", "lastname", "email", "jobtitle", "hubspot_owner_id"],
+  company: ["name", "domain", "hubspot_owner_id"],
+};
+
+async function hsGetOwnerName(ownerId) {
+  if (!ownerId) return "";
+  try {
+    const o = await hubspotRequest("GET", `/crm/v3/owners/${ownerId}`);
+    return [o?.firstName, o?.lastName].filter(Boolean).join(" ") || o?.email || "";
+  } catch (_) {
+    return "";
+  }
+}
+
+// Newest notes on a record → [{ at, text }] (plain-text snippets, links reduced to their labels).
+// Searching sorted by hs_timestamp finds the newest ones however many notes the record has.
+async function hsGetRecentNotes(recordType, recordId, limit = HUBSPOT_UNFURL_NOTES) {
+  const notes = await hubspotRequest("POST", "/crm/v3/objects/notes/search", {
+    filterGroups: [{ filters: [{ propertyName: `associations.${recordType}`, operator: "EQ", value: String(recordId) }] }],
+    sorts: [{ propertyName: "hs_timestamp", direction: "DESCENDING" }],
+    properties: ["hs_note_body", "hs_timestamp"],
+    limit,
+  });
+
+  return (notes?.results || []).map((n) => {
+    const { title, body } = hubspotNoteHtmlToSlackText(n.properties?.hs_note_body);
+    const text = [title, body]
+      .filter(Boolean)
+      .join(" — ")
+      .replace(/<([^|>]+)\|([^>]*)>/g, "$2")
+      .replace(/\s+/g, " ");
+    return { at: Date.parse(n.properties?.hs_timestamp || "") || 0, text };
+  });
+}
+
+function formatHubspotAmount(amount, currency) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return String(amount);
+  try {
+    return n.toLocaleString("en-US", { style: "currency", currency: currency || "USD" });
+  } catch (_) {
+    // Custom or malformed currency codes make Intl throw
+    return `${n.toLocaleString("en-US")}${currency ? ` ${currency}` : ""}`;
+  }
+}
+
+async function buildHubspotRecordUnfurl(url, { recordType, id }) {
+  const record = await hubspotRequest(
+    "GET",
+    `/crm/v3/objects/${hsApiObjectType(recordType)}/${id}?properties=${HS_UNFURL_PROPERTIES[recordType].join(",")}`
+  );
+  const p = record?.properties || {};
+
+  const [ownerName, stage, notes] = await Promise.all([
+    hsGetOwnerName(p.hubspot_owner_id),
+    hsRecordTypeHasPipelines(recordType) ? hsGetRecordStage(recordType, id).catch(() => null) : null,
+    hsGetRecentNotes(recordType, id).catch(() => []),
+  ]);
+
+  const typeLabel = HS_RECORD_TYPE_OPTIONS.find((o) => o.value === recordType)?.text.text || recordType;
+  const name =
+    recordType === "ticket"
+      ? p.subject
+      : recordType === "deal"
+        ? p.dealname
+        : recordType === "contact"
+          ? [p.firstname, p.lastname].filter(Boolean).join(" ") || p.email
+          : p.name;
+  const label = name || `${typeLabel} ${id}`;
+
+  // Everything from HubSpot is escaped before it goes into mrkdwn
+  const esc = escapeSlackMrkdwn;
+  const fields = [`*Owner*\n${esc(ownerName || "Unassigned")}`];
+  if (stage) fields.push(`*Pipeline › Stage*\n${esc(stage.pipelineLabel)} › ${esc(stage.stageLabel)}`);
+  if (recordType === "deal" && p.amount) fields.push(`*Amount*\n${esc(formatHubspotAmount(p.amount, p.deal_currency_code))}`);
+  if (recordType === "ticket" && p.hs_ticket_priority) fields.push(`*Priority*\n${esc(p.hs_ticket_priority)}`);
+  if (recordType === "contact" && (p.email || p.jobtitle)) fields.push(`*Contact*\n${esc([p.jobtitle, p.email].filter(Boolean).join(" · "))}`);
+  if (recordType === "company" && p.domain) fields.push(`*Domain*\n${esc(p.domain)}`);
+
+  const notesText = notes.length
+    ? notes
+        .map((n) => {
+          const when = n.at ? `<!date^${Math.floor(n.at / 1000)}^{date_short}|${new Date(n.at).toISOString().slice(0, 10)}> ` : "";
+          // Cut before escaping so an entity is never split
+          const snippet = n.text.length > 140 ? `${n.text.slice(0, 140)}…` : n.text;
+          return `• ${when}${esc(snippet)}`;
+        })
+        .join("\n")
+    : "_No notes yet_";
+
+  const hubnoteRecord = {
+    recordType,
+    id,
+    label: label.slice(0, 60),
+    pipelineId: stage?.pipelineId || "",
+    pipelineLabel: stage?.pipelineLabel || "",
+    stageId: stage?.stageId || "",
+    stageLabel: stage?.stageLabel || "",
+  };
+
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `*<${url}|${esc(label.replace(/\|/g, ""))}>*\n${typeLabel} ${id}` },
+      },
+      { type: "section", fields: fields.map((text) => ({ type: "mrkdwn", text })) },
+      { type: "section", text: { type: "mrkdwn", text: `*Recent notes*\n${notesText}`.slice(0, 3000) } },
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            action_id: "hubnote_open_for_record",
+            text: { type: "plain_text", text: "📝 Add note", emoji: true },
+            value: JSON.stringify(hubnoteRecord),
+          },
+          {
+            type: "button",
+            action_id: "hubtask_open_for_record",
+            text: { type: "plain_text", text: "✅ Create task", emoji: true },
+            value: JSON.stringify({ type: hsApiObjectType(recordType), id, label: label.slice(0, 60) }),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+app.event("link_shared", async ({ event, client, logger }) => {
+  const unfurls = {};
+  await Promise.all(
+    (event.links || []).map(async ({ url }) => {
+      const target = parseHubspotRecordUrl(url);
+      if (!target) return;
+      try {
+        unfurls[url] = await buildHubspotRecordUnfurl(url, target);
+      } catch (e) {
+        logger.error("[hubspot unfurl] failed:", url, e?.response?.status || e?.message || e);
+      }
+    })
+  );
+  if (!Object.keys(unfurls).length) return;
+
+  try {
+    await client.chat.unfurl(
+      event.unfurl_id
+        ? { unfurl_id: event.unfurl_id, source: event.source, unfurls }
+        : { channel: event.channel, ts: event.message_ts, unfurls }
+    );
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+app.action("hubnote_open_for_record", async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    const initialRecord = safeJsonParse(body?.actions?.[0]?.value, null);
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildHubnoteModalV2({
+        correlationId: `hubnote_${crypto.randomBytes(12).toString("hex")}`,
+        originChannelId: body.channel?.id || "",
+        originUserId: body.user.id,
+        recentRecords: getRecentHubnoteRecords(body.user.id),
+        initialRecord: initialRecord?.id ? initialRecord : null,
+      }),
+    });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
 // ==============================
 // CURTSY TASK
 // ==============================
@@ -2112,7 +6594,18 @@ app.action("hubtask_open_from_reaction", async ({ ack, body, client, logger }) =
 // START SERVER
 // ==============================
 
+// Helpful: log 404s (registered last so it only runs if no route handled it)
+receiver.app.use((req, res, next) => {
+  res.status(404).send("Not Found");
+  console.log("[404]", req.method, req.originalUrl);
+});
+
 (async () => {
   await app.start(process.env.PORT || 3000);
+  csTaskSchedules.startScheduler();
+  startModalDraftPruning();
+  if (MONDAY_API_TOKEN) {
+    refreshBoards().catch((e) => console.error("[monday boards] warmup failed:", e?.message || e));
+  }
   console.log("⚡️ SyllaBot is running (cstask + hubnote v2)");
 })();